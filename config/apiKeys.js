@@ -0,0 +1,30 @@
+// config/apiKeys.js
+
+// Prefijo de las API keys: permite distinguirlas de un JWT en la cabecera Authorization
+const API_KEY_PREFIX = 'afk_';
+
+// Routers a los que puede acceder una API key: clave del scope => ruta base.
+// El resto (/api/auth, /api/api-keys, /api/roles, /api/kiosk) solo admite sesiones de usuario
+const API_KEY_ROUTERS = {
+  users: '/api/users',
+  tasks: '/api/tasks',
+  timetrack: '/api/timetrack',
+  invitations: '/api/invitations',
+  stores: '/api/stores',
+  teams: '/api/teams'
+};
+
+// Scopes disponibles: "<router>:read" permite GET y "<router>:write" el resto de métodos.
+// Los permisos del usuario propietario se siguen aplicando en cada ruta
+const API_KEY_SCOPES = Object.keys(API_KEY_ROUTERS).reduce((scopes, router) => {
+  scopes.push(`${router}:read`, `${router}:write`);
+  return scopes;
+}, []);
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_ROUTERS,
+  API_KEY_SCOPES,
+  // Número máximo de API keys activas por usuario
+  maxKeysPerUser: parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 10
+};
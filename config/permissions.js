@@ -0,0 +1,47 @@
+// config/permissions.js
+
+// Roles disponibles. El jefe tiene siempre todos los permisos; el resto de roles
+// obtienen los suyos de la tabla role_permissions (editable con /api/roles)
+const ROLES = ['jefe', 'encargado', 'trabajador'];
+const SUPERUSER_ROLE = 'jefe';
+
+// Registro de permisos: clave => descripción
+const PERMISSIONS = {
+  'users.view': 'Ver la lista de usuarios, sus datos y estadísticas',
+  'users.manage': 'Editar y desactivar usuarios, PIN y tarjetas de fichaje',
+  'users.sensitive': 'Ver y editar el NIF/NIE, el número de la Seguridad Social y el contacto de emergencia de otros usuarios',
+  'users.privacy': 'Exportar los datos personales de otros usuarios y anonimizar a los dados de baja',
+  'users.security': 'Ver el historial de seguridad, cerrar sesiones, desbloquear cuentas y restablecer 2FA',
+  'users.impersonate': 'Actuar como otro usuario de la tienda para ver lo que ve él (queda registrado)',
+  'roles.manage': 'Cambiar el rol de los usuarios y los permisos de cada rol',
+  'invitations.manage': 'Invitar a nuevos usuarios',
+  'teams.manage': 'Crear y editar equipos, sus responsables y sus miembros',
+  'tasks.view_all': 'Ver todas las tareas, no solo las propias y las disponibles',
+  'tasks.assign': 'Crear tareas y asignarlas a otros usuarios',
+  'tasks.manage': 'Editar, completar e imputar tiempo en cualquier tarea',
+  'tasks.delete': 'Eliminar tareas',
+  'timetrack.view_all': 'Ver los fichajes, registros de tiempo e informes de otros usuarios',
+  'timetrack.manage': 'Revisar, crear, modificar y eliminar fichajes de otros usuarios y resolver sus solicitudes de corrección',
+  'kiosk.manage': 'Registrar y revocar terminales de fichaje y ver su registro',
+  'stores.manage': 'Crear y editar tiendas y gestionar a qué tiendas pertenece cada usuario'
+};
+
+// Permisos con los que se crean los roles (migración inicial)
+const DEFAULT_ROLE_PERMISSIONS = {
+  encargado: [
+    'users.view',
+    'tasks.view_all',
+    'tasks.assign',
+    'tasks.manage',
+    'tasks.delete',
+    'timetrack.view_all'
+  ],
+  trabajador: []
+};
+
+module.exports = {
+  ROLES,
+  SUPERUSER_ROLE,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,25 @@
+// config/preferences.js
+
+// Idiomas admitidos para la interfaz y los correos
+const SUPPORTED_LOCALES = ['es-ES', 'ca-ES', 'eu-ES', 'gl-ES', 'en-GB'];
+
+// Canales por los que un usuario puede recibir avisos
+const NOTIFICATION_CHANNELS = ['email', 'push'];
+
+// Preferencias de un usuario que aún no ha configurado las suyas.
+// week_start sigue la numeración de work_days: 1 (lunes) a 7 (domingo)
+const DEFAULT_PREFERENCES = {
+  locale: process.env.DEFAULT_LOCALE || 'es-ES',
+  timezone: process.env.DEFAULT_TIMEZONE || 'Europe/Madrid',
+  week_start: 1,
+  notifications: {
+    email: true,
+    push: false
+  }
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_PREFERENCES
+};
@@ -0,0 +1,52 @@
+// config/security.js
+
+// Lista separada por comas en una variable de entorno
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseBoolean = (value, defaultValue) => (
+  value === undefined ? defaultValue : value === 'true'
+);
+
+module.exports = {
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    requireLowercase: parseBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireUppercase: parseBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+    requireNumber: parseBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+    requireSymbol: parseBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    // Rechazar contraseñas de la lista data/common-passwords.txt
+    rejectCommon: parseBoolean(process.env.PASSWORD_REJECT_COMMON, true),
+    // Número de contraseñas anteriores (incluida la actual) que no se pueden reutilizar
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5
+  },
+  passwordReset: {
+    // Solicitudes de restablecimiento permitidas por IP y por email en cada ventana, para que
+    // /forgot-password no sirva para llenar de correos el buzón de nadie
+    windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES, 10) || 60,
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP, 10) || 10,
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL, 10) || 3
+  },
+  twoFactor: {
+    // Nombre que muestran las apps de autenticación
+    issuer: process.env.TWO_FACTOR_ISSUER || 'AppFerre',
+    // Roles que deben tener 2FA activado para usar la API (p. ej. "jefe")
+    requiredRoles: parseList(process.env.TWO_FACTOR_REQUIRED_ROLES),
+    // Validez del token intermedio entre la contraseña y el código TOTP
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodesCount: 10
+  },
+  impersonation: {
+    // Validez del token para actuar como otro usuario (no se puede renovar)
+    expiresInMinutes: parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES, 10) || 15,
+    // Cabecera con la que se confirma una escritura durante la suplantación
+    confirmHeader: 'x-impersonation-confirm'
+  },
+  dataRetention: {
+    // Años que se conservan los datos de un trabajador tras su baja antes de poder
+    // anonimizarlo (el registro de jornada debe guardarse 4 años)
+    years: parseInt(process.env.DATA_RETENTION_YEARS, 10) || 4
+  }
+};
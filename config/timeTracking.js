@@ -0,0 +1,21 @@
+// config/timeTracking.js
+
+const parseBoolean = (value, defaultValue) => (
+  value === undefined ? defaultValue : value === 'true'
+);
+
+module.exports = {
+  // Duración máxima de un fichaje, de la entrada a la salida. Cubre turnos que pasan la
+  // medianoche (inventarios nocturnos) y evita cerrar un fichaje olvidado días después
+  maxShiftHours: parseInt(process.env.MAX_SHIFT_HOURS, 10) || 14,
+  autoClose: {
+    // Tarea periódica que cierra los fichajes que el trabajador olvidó cerrar
+    enabled: parseBoolean(process.env.AUTO_CLOSE_ENABLED, true),
+    intervalMinutes: parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES, 10) || 15,
+    // Con jornada en la ficha laboral, el fichaje se cierra a su hora de fin prevista
+    // pasado este margen (por si el trabajador solo se ha retrasado)
+    graceMinutes: parseInt(process.env.AUTO_CLOSE_GRACE_MINUTES, 10) || 120,
+    // Sin jornada, o si el margen llega más tarde, se cierra al cumplir estas horas
+    afterHours: parseInt(process.env.AUTO_CLOSE_AFTER_HOURS, 10) || 12
+  }
+};
@@ -1,7 +1,197 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, UserSession, Impersonation, ApiKey, StoreMembership, Team } = require('../models');
+const securityConfig = require('../config/security');
+const { API_KEY_PREFIX, API_KEY_ROUTERS } = require('../config/apiKeys');
 
-// Middleware para verificar JWT token
+// Obtener la sesión de un access token si sigue vigente en el servidor.
+// Devuelve null si el token ha sido revocado (cambio de contraseña,
+// cierre de todas las sesiones o logout de esa sesión) o si la sesión
+// ha cambiado de tienda después de emitirlo
+const getActiveSession = async (decoded, user) => {
+  if (decoded.tv !== user.token_version || !decoded.sid) {
+    return null;
+  }
+
+  const session = await UserSession.findByPk(decoded.sid);
+  if (!session || session.user_id !== user.id || !session.isActive()) {
+    return null;
+  }
+
+  if (decoded.st !== session.store_id) {
+    return null;
+  }
+
+  return session;
+};
+
+// Obtener la suplantación de un token "actuar como". El token va ligado a la sesión
+// del usuario real (el jefe): si esa sesión se cierra, la suplantación deja de valer
+const getActiveImpersonation = async (decoded, user) => {
+  const impersonation = await Impersonation.findByPk(decoded.imp, {
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: { exclude: ['password_hash'] }
+      }
+    ]
+  });
+
+  if (!impersonation || !impersonation.isActive() || impersonation.user_id !== user.id) {
+    return null;
+  }
+
+  const { actor } = impersonation;
+  if (!actor || !actor.is_active || !(await actor.hasPermission('users.impersonate'))) {
+    return null;
+  }
+
+  const session = await getActiveSession(decoded, actor);
+  if (!session || session.id !== impersonation.session_id) {
+    return null;
+  }
+
+  return { impersonation, actor, session };
+};
+
+// Rutas de cuenta y seguridad que nunca se pueden usar mientras se suplanta a alguien
+const IMPERSONATION_BLOCKED_ROUTES = [
+  '/api/auth/logout',
+  '/api/auth/logout-all',
+  '/api/auth/switch-store',
+  '/api/auth/sessions',
+  '/api/auth/change-password',
+  '/api/auth/impersonate',
+  '/api/auth/2fa',
+  '/api/api-keys'
+];
+const IMPERSONATION_END_ROUTE = '/api/auth/impersonate/end';
+
+// Durante la suplantación la API es de solo lectura: las escrituras deben
+// confirmarse explícitamente con la cabecera X-Impersonation-Confirm: true
+const getImpersonationRestriction = (req, requestPath, confirmed) => {
+  if (requestPath === IMPERSONATION_END_ROUTE) {
+    return null;
+  }
+
+  const blocked = IMPERSONATION_BLOCKED_ROUTES.some(route =>
+    requestPath === route || requestPath.startsWith(`${route}/`)
+  );
+  if (blocked) {
+    return {
+      error: 'Esta acción no está disponible mientras actúas como otro usuario',
+      code: 'IMPERSONATION_FORBIDDEN'
+    };
+  }
+
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !confirmed) {
+    return {
+      error: 'Estás actuando como otro usuario. Confirma la modificación con la cabecera X-Impersonation-Confirm: true',
+      code: 'IMPERSONATION_CONFIRMATION_REQUIRED'
+    };
+  }
+
+  return null;
+};
+
+// Acciones de seguridad pendientes: mientras existan, la API solo permite
+// las rutas necesarias para resolverlas
+const getPendingSecurityAction = (user) => {
+  if (user.must_change_password) {
+    return {
+      error: 'Debes cambiar tu contraseña para continuar',
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      allowedRoutes: ['/api/auth/me', '/api/auth/logout', '/api/auth/change-password']
+    };
+  }
+
+  // La política de seguridad exige 2FA para su rol y aún no lo ha activado
+  if (user.requiresTwoFactorSetup()) {
+    return {
+      error: 'Debes activar la verificación en dos pasos para continuar',
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      allowedRoutes: ['/api/auth/me', '/api/auth/logout', '/api/auth/2fa/setup', '/api/auth/2fa/enable']
+    };
+  }
+
+  return null;
+};
+
+// Scope que necesita una API key para la petición ("tasks:read", "tasks:write"...)
+// o null si la ruta no pertenece a ningún router accesible con API keys
+const getRequiredApiKeyScope = (req, requestPath) => {
+  const router = Object.keys(API_KEY_ROUTERS).find(key =>
+    requestPath === API_KEY_ROUTERS[key] || requestPath.startsWith(`${API_KEY_ROUTERS[key]}/`)
+  );
+  if (!router) {
+    return null;
+  }
+
+  return `${router}:${['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write'}`;
+};
+
+// Autenticar una API key personal: la petición se atiende como su propietario,
+// en la tienda de la key y solo en los routers que permiten sus scopes
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ 
+      error: 'API key inválida, caducada o revocada',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  const requestPath = req.originalUrl.split('?')[0];
+  const requiredScope = getRequiredApiKeyScope(req, requestPath);
+  if (!requiredScope) {
+    return res.status(403).json({ 
+      error: 'Esta ruta no admite API keys',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  if (!apiKey.hasScope(requiredScope)) {
+    return res.status(403).json({ 
+      error: 'La API key no tiene permiso para esta acción',
+      code: 'API_KEY_SCOPE_REQUIRED',
+      required_scope: requiredScope
+    });
+  }
+
+  const user = await User.findByPk(apiKey.user_id, {
+    attributes: { exclude: ['password_hash'] }
+  });
+
+  if (!user || !user.is_active) {
+    return res.status(401).json({ 
+      error: 'Usuario desactivado',
+      code: 'USER_INACTIVE'
+    });
+  }
+
+  if (!(await StoreMembership.isMember(user.id, apiKey.store_id))) {
+    return res.status(401).json({ 
+      error: 'El propietario de la API key ya no pertenece a su tienda',
+      code: 'STORE_ACCESS_REVOKED'
+    });
+  }
+
+  const pendingAction = getPendingSecurityAction(user);
+  if (pendingAction) {
+    return res.status(403).json({ 
+      error: pendingAction.error,
+      code: pendingAction.code
+    });
+  }
+
+  await apiKey.touch(req);
+
+  req.user = user;
+  req.auth = { sessionId: null, storeId: apiKey.store_id, apiKeyId: apiKey.id };
+  next();
+};
+
+// Middleware para verificar JWT token o API key
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -14,6 +204,11 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // API key personal (integraciones y scripts) en lugar de un JWT
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
     // Verificar el token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -36,8 +231,64 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Añadir usuario a la request
+    const requestPath = req.originalUrl.split('?')[0];
+
+    // Token "actuar como": la petición se atiende como el usuario suplantado
+    if (decoded.imp) {
+      const active = await getActiveImpersonation(decoded, user);
+      if (!active) {
+        return res.status(401).json({ 
+          error: 'La suplantación ha terminado o ya no es válida',
+          code: 'IMPERSONATION_ENDED'
+        });
+      }
+
+      const { impersonation, actor, session } = active;
+      const confirmed = req.get(securityConfig.impersonation.confirmHeader) === 'true';
+
+      // Registrar cada petición de la suplantación, también las rechazadas
+      res.on('finish', () => {
+        impersonation.logRequest(req, res.statusCode, confirmed);
+      });
+
+      const restriction = getImpersonationRestriction(req, requestPath, confirmed);
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+
+      await session.touch();
+
+      req.user = user;
+      req.impersonator = actor;
+      req.auth = {
+        sessionId: session.id,
+        storeId: session.store_id,
+        impersonationId: impersonation.id
+      };
+      return next();
+    }
+
+    const session = await getActiveSession(decoded, user);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Sesión revocada. Inicia sesión de nuevo',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    await session.touch();
+
+    const pendingAction = getPendingSecurityAction(user);
+    if (pendingAction && !pendingAction.allowedRoutes.includes(requestPath)) {
+      return res.status(403).json({ 
+        error: pendingAction.error,
+        code: pendingAction.code
+      });
+    }
+
+    // Añadir usuario, sesión y tienda activa a la request
     req.user = user;
+    req.auth = { sessionId: session.id, storeId: session.store_id };
     next();
 
   } catch (error) {
@@ -64,8 +315,9 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar rol de jefe
-const requireJefe = async (req, res, next) => {
+// Middleware para verificar que el rol del usuario tenga todos los permisos indicados
+// (ver config/permissions.js). Uso: requirePermission('tasks.assign')
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ 
@@ -74,16 +326,20 @@ const requireJefe = async (req, res, next) => {
       });
     }
 
-    if (req.user.role !== 'jefe') {
+    const granted = await req.user.getPermissions();
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
       return res.status(403).json({ 
-        error: 'Acceso denegado. Se requiere rol de jefe',
-        code: 'INSUFFICIENT_PERMISSIONS'
+        error: 'Acceso denegado. No tienes permisos para esta acción',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required_permissions: missing
       });
     }
 
     next();
   } catch (error) {
-    console.error('Error verificando rol de jefe:', error);
+    console.error('Error verificando permisos:', error);
     return res.status(500).json({ 
       error: 'Error interno del servidor',
       code: 'INTERNAL_ERROR'
@@ -91,8 +347,9 @@ const requireJefe = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar rol de trabajador
-const requireTrabajador = async (req, res, next) => {
+// Middleware para informes filtrables por equipo (?team_id): con el permiso indicado
+// se ve cualquier equipo; sin él, solo el equipo que supervisa el usuario
+const requirePermissionOrTeamSupervisor = (permission) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ 
@@ -101,16 +358,26 @@ const requireTrabajador = async (req, res, next) => {
       });
     }
 
-    if (req.user.role !== 'trabajador') {
-      return res.status(403).json({ 
-        error: 'Acceso denegado. Se requiere rol de trabajador',
-        code: 'INSUFFICIENT_PERMISSIONS'
-      });
+    if (await req.user.hasPermission(permission)) {
+      return next();
     }
 
-    next();
+    const teamId = parseInt(req.query.team_id, 10);
+    if (teamId) {
+      const team = await Team.findInStore(teamId, req.auth.storeId);
+      if (team && team.supervisor_id === req.user.id) {
+        return next();
+      }
+    }
+
+    return res.status(403).json({ 
+      error: 'Acceso denegado. No tienes permisos para esta acción',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required_permissions: [permission]
+    });
+
   } catch (error) {
-    console.error('Error verificando rol de trabajador:', error);
+    console.error('Error verificando supervisor de equipo:', error);
     return res.status(500).json({ 
       error: 'Error interno del servidor',
       code: 'INTERNAL_ERROR'
@@ -118,8 +385,9 @@ const requireTrabajador = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar que el usuario pueda acceder a sus propios datos
-const requireOwnerOrJefe = async (req, res, next) => {
+// Middleware para rutas con :id o :userId: el propio usuario siempre tiene acceso
+// (también si se omite el parámetro opcional) y el resto necesita el permiso indicado
+const requireOwnerOrPermission = (permission) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ 
@@ -128,15 +396,13 @@ const requireOwnerOrJefe = async (req, res, next) => {
       });
     }
 
-    const requestedUserId = parseInt(req.params.userId || req.params.id);
-    
-    // Si es jefe, puede acceder a cualquier dato
-    if (req.user.role === 'jefe') {
+    const requestedUserId = req.params.userId || req.params.id;
+
+    if (!requestedUserId || parseInt(requestedUserId) === req.user.id) {
       return next();
     }
-    
-    // Si es trabajador, solo puede acceder a sus propios datos
-    if (req.user.role === 'trabajador' && req.user.id === requestedUserId) {
+
+    if (await req.user.hasPermission(permission)) {
       return next();
     }
 
@@ -170,7 +436,7 @@ const optionalAuth = async (req, res, next) => {
       attributes: { exclude: ['password_hash'] }
     });
 
-    req.user = user && user.is_active ? user : null;
+    req.user = user && user.is_active && await getActiveSession(decoded, user) ? user : null;
     next();
 
   } catch (error) {
@@ -182,8 +448,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireJefe,
-  requireTrabajador,
-  requireOwnerOrJefe,
+  requirePermission,
+  requireOwnerOrPermission,
+  requirePermissionOrTeamSupervisor,
   optionalAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+const { KioskDevice } = require('../models');
+
+// Middleware para terminales de fichaje compartidos (kiosko).
+// El dispositivo se identifica con la credencial que generó el jefe al registrarlo,
+// enviada en la cabecera X-Kiosk-Token. No crea sesión de usuario
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const token = req.headers['x-kiosk-token'];
+
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'Credencial de terminal requerida',
+        code: 'KIOSK_TOKEN_REQUIRED'
+      });
+    }
+
+    const device = await KioskDevice.findActiveByToken(token);
+    if (!device) {
+      return res.status(401).json({ 
+        error: 'Terminal no autorizado',
+        code: 'INVALID_KIOSK_TOKEN'
+      });
+    }
+
+    device.last_seen_at = new Date();
+    await device.save({ fields: ['last_seen_at'] });
+
+    req.kioskDevice = device;
+    next();
+
+  } catch (error) {
+    console.error('Error en autenticación de terminal:', error);
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  authenticateKiosk
+};
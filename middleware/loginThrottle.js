@@ -0,0 +1,105 @@
+// Protección contra fuerza bruta en /api/auth/login.
+// Cuenta los intentos fallidos por IP y por identificador (email o username)
+// en memoria, aplica retrasos progresivos y bloquea la IP si supera el máximo.
+// El bloqueo de la cuenta se guarda en el propio User (ver User.registerFailedLogin)
+
+const WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 50;
+const FREE_ATTEMPTS = 3; // Intentos fallidos sin retraso
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const failures = new Map();
+
+const ipKey = (req) => `ip:${req.ip}`;
+const identifierKey = (identifier) => `id:${String(identifier || '').trim().toLowerCase()}`;
+
+const getFailures = (key) => {
+  const entry = failures.get(key);
+  if (!entry) return 0;
+
+  if (Date.now() - entry.firstFailureAt > WINDOW_MS) {
+    failures.delete(key);
+    return 0;
+  }
+
+  return entry.count;
+};
+
+const addFailure = (key) => {
+  const count = getFailures(key);
+  failures.set(key, {
+    count: count + 1,
+    firstFailureAt: count === 0 ? Date.now() : failures.get(key).firstFailureAt
+  });
+};
+
+// Eliminar entradas caducadas para que el mapa no crezca indefinidamente
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [key, entry] of failures) {
+    if (now - entry.firstFailureAt > WINDOW_MS) {
+      failures.delete(key);
+    }
+  }
+};
+
+const getDelayMs = (failureCount) => {
+  if (failureCount < FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failureCount - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Middleware para la ruta de login: rechaza IPs bloqueadas y retrasa la respuesta
+// según los fallos previos de la IP o del identificador
+const loginThrottle = async (req, res, next) => {
+  try {
+    const ipFailures = getFailures(ipKey(req));
+
+    if (ipFailures >= MAX_FAILURES_PER_IP) {
+      const entry = failures.get(ipKey(req));
+      const retryAfterSeconds = Math.ceil((entry.firstFailureAt + WINDOW_MS - Date.now()) / 1000);
+
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Demasiados intentos de inicio de sesión fallidos. Intenta de nuevo más tarde',
+        code: 'TOO_MANY_LOGIN_ATTEMPTS',
+        retry_after_seconds: retryAfterSeconds
+      });
+    }
+
+    // El segundo paso del login (2FA) no lleva identificador: solo cuenta la IP
+    const identifier = req.body && req.body.identifier;
+    const identifierFailures = identifier ? getFailures(identifierKey(identifier)) : 0;
+    const delayMs = getDelayMs(Math.max(ipFailures, identifierFailures));
+
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en la protección de login:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+const recordLoginFailure = (req, identifier) => {
+  pruneExpired();
+  addFailure(ipKey(req));
+  addFailure(identifierKey(identifier));
+};
+
+const recordLoginSuccess = (req, identifier) => {
+  failures.delete(identifierKey(identifier));
+};
+
+module.exports = {
+  loginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess
+};
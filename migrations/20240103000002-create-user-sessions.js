@@ -0,0 +1,89 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      device_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id']);
+
+    // Crear una sesión por cada familia de refresh tokens existente
+    await queryInterface.sequelize.query(`
+      INSERT INTO user_sessions (id, user_id, last_used_at, expires_at, revoked_at, created_at, updated_at)
+      SELECT family,
+             MIN(user_id),
+             MAX(created_at),
+             MAX(expires_at),
+             CASE WHEN BOOL_AND(revoked_at IS NOT NULL) THEN MAX(revoked_at) END,
+             MIN(created_at),
+             NOW()
+      FROM refresh_tokens
+      GROUP BY family
+    `);
+
+    await queryInterface.addConstraint('refresh_tokens', {
+      fields: ['family'],
+      type: 'foreign key',
+      name: 'refresh_tokens_family_fkey',
+      references: {
+        table: 'user_sessions',
+        field: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeConstraint('refresh_tokens', 'refresh_tokens_family_fkey');
+    await queryInterface.dropTable('user_sessions');
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('invitations', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      email: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      role: {
+        type: Sequelize.ENUM('jefe', 'trabajador'),
+        allowNull: false,
+        defaultValue: 'trabajador'
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      invited_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('invitations', ['email']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('invitations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_invitations_role";');
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('password_reset_tokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      requested_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('mail_outbox', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      to_address: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      from_address: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      body_text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      body_html: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('password_reset_tokens', ['user_id']);
+    await queryInterface.addIndex('mail_outbox', ['to_address']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('mail_outbox');
+    await queryInterface.dropTable('password_reset_tokens');
+  }
+};
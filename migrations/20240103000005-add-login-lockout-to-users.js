@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Cuenta bloqueada temporalmente por intentos de login fallidos'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+  }
+};
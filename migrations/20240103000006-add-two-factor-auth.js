@@ -0,0 +1,67 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Secreto TOTP cifrado (AES-256-GCM)'
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('two_factor_recovery_codes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('two_factor_recovery_codes', ['user_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('two_factor_recovery_codes');
+    await queryInterface.removeColumn('users', 'two_factor_last_step');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+    await queryInterface.removeColumn('users', 'two_factor_enabled');
+  }
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'must_change_password', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Obliga a cambiar la contraseña antes de usar la API'
+    });
+
+    await queryInterface.createTable('password_history', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      password_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('password_history', ['user_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('password_history');
+    await queryInterface.removeColumn('users', 'must_change_password');
+  }
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'kiosk_pin_hash', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'badge_code_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      unique: true
+    });
+
+    await queryInterface.createTable('kiosk_devices', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      registered_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('kiosk_punches', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      kiosk_device_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'kiosk_devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      time_clock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'time_clocks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      method: {
+        type: Sequelize.ENUM('pin', 'badge'),
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('clock_in', 'clock_out'),
+        allowNull: true
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      failure_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('kiosk_punches', ['kiosk_device_id', 'created_at']);
+    await queryInterface.addIndex('kiosk_punches', ['user_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('kiosk_punches');
+    await queryInterface.dropTable('kiosk_devices');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_kiosk_punches_method";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_kiosk_punches_action";');
+    await queryInterface.removeColumn('users', 'badge_code_hash');
+    await queryInterface.removeColumn('users', 'kiosk_pin_hash');
+  }
+};
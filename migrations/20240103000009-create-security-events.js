@@ -0,0 +1,68 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('security_events', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      event_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('security_events', ['user_id', 'created_at']);
+    await queryInterface.addIndex('security_events', ['event_type']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('security_events');
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+// Permisos iniciales (copia de DEFAULT_ROLE_PERMISSIONS en config/permissions.js en el momento de la migración)
+const INITIAL_ROLE_PERMISSIONS = {
+  encargado: [
+    'users.view',
+    'tasks.view_all',
+    'tasks.assign',
+    'tasks.manage',
+    'tasks.delete',
+    'timetrack.view_all'
+  ]
+};
+
+// Volver a crear un ENUM de rol sin el valor 'encargado' (PostgreSQL no permite eliminar valores)
+const restoreRoleEnum = async (queryInterface, table) => {
+  const type = `enum_${table}_role`;
+  await queryInterface.sequelize.query(`UPDATE "${table}" SET role = 'trabajador' WHERE role = 'encargado';`);
+  await queryInterface.sequelize.query(`ALTER TYPE "${type}" RENAME TO "${type}_old";`);
+  await queryInterface.sequelize.query(`CREATE TYPE "${type}" AS ENUM('jefe', 'trabajador');`);
+  await queryInterface.sequelize.query(`ALTER TABLE "${table}" ALTER COLUMN role DROP DEFAULT;`);
+  await queryInterface.sequelize.query(`ALTER TABLE "${table}" ALTER COLUMN role TYPE "${type}" USING role::text::"${type}";`);
+  await queryInterface.sequelize.query(`ALTER TABLE "${table}" ALTER COLUMN role SET DEFAULT 'trabajador';`);
+  await queryInterface.sequelize.query(`DROP TYPE "${type}_old";`);
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'encargado' AFTER 'jefe';`);
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_invitations_role" ADD VALUE IF NOT EXISTS 'encargado' AFTER 'jefe';`);
+
+    await queryInterface.createTable('role_permissions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      role: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      permission: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('role_permissions', ['role', 'permission'], {
+      unique: true
+    });
+
+    // Permisos iniciales de cada rol (el jefe los tiene todos sin necesidad de filas)
+    const now = new Date();
+    const rows = Object.entries(INITIAL_ROLE_PERMISSIONS).flatMap(([role, permissions]) =>
+      permissions.map(permission => ({ role, permission, created_at: now }))
+    );
+
+    await queryInterface.bulkInsert('role_permissions', rows);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('role_permissions');
+    await restoreRoleEnum(queryInterface, 'invitations');
+    await restoreRoleEnum(queryInterface, 'users');
+  }
+};
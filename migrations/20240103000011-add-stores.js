@@ -0,0 +1,132 @@
+'use strict';
+
+// Tablas cuyas filas pertenecen a una tienda
+const STORE_SCOPED_TABLES = ['tasks', 'time_clocks', 'time_entries', 'invitations', 'kiosk_devices', 'user_sessions'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stores', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('store_memberships', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('store_memberships', ['store_id', 'user_id'], {
+      unique: true
+    });
+    await queryInterface.addIndex('store_memberships', ['user_id']);
+
+    // Todos los datos existentes pasan a la tienda principal
+    const now = new Date();
+    await queryInterface.bulkInsert('stores', [
+      { name: 'Tienda principal', code: 'principal', is_active: true, created_at: now, updated_at: now }
+    ]);
+
+    const [[defaultStore]] = await queryInterface.sequelize.query(
+      `SELECT id FROM stores WHERE code = 'principal';`
+    );
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO store_memberships (store_id, user_id, created_at)
+       SELECT ${defaultStore.id}, id, NOW() FROM users;`
+    );
+
+    for (const table of STORE_SCOPED_TABLES) {
+      await queryInterface.addColumn(table, 'store_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      });
+
+      await queryInterface.sequelize.query(`UPDATE "${table}" SET store_id = ${defaultStore.id};`);
+
+      await queryInterface.changeColumn(table, 'store_id', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Crear índices
+    await queryInterface.addIndex('tasks', ['store_id']);
+    await queryInterface.addIndex('time_clocks', ['store_id', 'date']);
+    await queryInterface.addIndex('time_entries', ['store_id', 'date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of STORE_SCOPED_TABLES) {
+      await queryInterface.removeColumn(table, 'store_id');
+    }
+    await queryInterface.dropTable('store_memberships');
+    await queryInterface.dropTable('stores');
+  }
+};
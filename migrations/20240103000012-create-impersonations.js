@@ -0,0 +1,133 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('impersonations', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      session_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('impersonation_requests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      impersonation_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'impersonations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      method: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      path: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      query: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      status_code: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      confirmed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('impersonations', ['user_id', 'created_at']);
+    await queryInterface.addIndex('impersonations', ['actor_id', 'created_at']);
+    await queryInterface.addIndex('impersonation_requests', ['impersonation_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('impersonation_requests');
+    await queryInterface.dropTable('impersonations');
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('api_keys', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      key_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      scopes: {
+        type: Sequelize.ARRAY(Sequelize.STRING(30)),
+        allowNull: false,
+        defaultValue: []
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_used_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Crear índices
+    await queryInterface.addIndex('api_keys', ['user_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('api_keys');
+  }
+};
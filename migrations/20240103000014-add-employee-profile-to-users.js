@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Datos laborales
+    await queryInterface.addColumn('users', 'contract_type', {
+      type: Sequelize.STRING(30),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'weekly_contract_hours', {
+      type: Sequelize.DECIMAL(4, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'work_days', {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: true,
+      comment: 'Días laborables (1 = lunes ... 7 = domingo)'
+    });
+
+    await queryInterface.addColumn('users', 'hire_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'termination_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'phone', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    // Datos personales sensibles
+    await queryInterface.addColumn('users', 'tax_id', {
+      type: Sequelize.STRING(9),
+      allowNull: true,
+      comment: 'NIF o NIE'
+    });
+
+    await queryInterface.addColumn('users', 'social_security_number', {
+      type: Sequelize.STRING(12),
+      allowNull: true,
+      comment: 'Número de afiliación a la Seguridad Social'
+    });
+
+    await queryInterface.addColumn('users', 'emergency_contact_name', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'emergency_contact_phone', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['tax_id'], {
+      unique: true,
+      name: 'users_tax_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', 'users_tax_id');
+    await queryInterface.removeColumn('users', 'emergency_contact_phone');
+    await queryInterface.removeColumn('users', 'emergency_contact_name');
+    await queryInterface.removeColumn('users', 'social_security_number');
+    await queryInterface.removeColumn('users', 'tax_id');
+    await queryInterface.removeColumn('users', 'phone');
+    await queryInterface.removeColumn('users', 'termination_date');
+    await queryInterface.removeColumn('users', 'hire_date');
+    await queryInterface.removeColumn('users', 'work_days');
+    await queryInterface.removeColumn('users', 'weekly_contract_hours');
+    await queryInterface.removeColumn('users', 'contract_type');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'anonymized_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Datos personales borrados (derecho de supresión); se conservan fichajes y registros de tiempo'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'anonymized_at');
+  }
+};
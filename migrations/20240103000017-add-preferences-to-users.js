@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'preferences', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Idioma, zona horaria, primer día de la semana y canales de aviso'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'preferences');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+// Tablas cuyo día (date) se deriva de un instante: tabla => columna de la que se calcula
+const DAY_BUCKETED_TABLES = {
+  time_clocks: 'clock_in_time',
+  time_entries: 'start_time'
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('stores', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: process.env.DEFAULT_TIMEZONE || 'Europe/Madrid',
+      comment: 'Zona horaria IANA de la tienda: decide a qué día pertenece cada fichaje y registro de tiempo'
+    });
+
+    // Hasta ahora date era el día UTC: un fichaje a las 00:30 en Madrid quedaba en el día anterior.
+    // Se recalcula con el día local de cada tienda
+    for (const [table, column] of Object.entries(DAY_BUCKETED_TABLES)) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} AS t SET date = (t.${column} AT TIME ZONE s.timezone)::date
+         FROM stores AS s WHERE s.id = t.store_id;`
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, column] of Object.entries(DAY_BUCKETED_TABLES)) {
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET date = (${column} AT TIME ZONE 'UTC')::date;`
+      );
+    }
+
+    await queryInterface.removeColumn('stores', 'timezone');
+  }
+};
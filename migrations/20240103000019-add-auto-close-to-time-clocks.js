@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('time_clocks', 'auto_closed', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'La salida la registró el cierre automático, no el trabajador'
+    });
+
+    await queryInterface.addColumn('time_clocks', 'needs_review', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Pendiente de que un responsable revise la hora de salida'
+    });
+
+    await queryInterface.addColumn('time_clocks', 'reviewed_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('time_clocks', 'reviewed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('time_clocks', ['store_id', 'needs_review']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('time_clocks', ['store_id', 'needs_review']);
+    await queryInterface.removeColumn('time_clocks', 'reviewed_at');
+    await queryInterface.removeColumn('time_clocks', 'reviewed_by');
+    await queryInterface.removeColumn('time_clocks', 'needs_review');
+    await queryInterface.removeColumn('time_clocks', 'auto_closed');
+  }
+};
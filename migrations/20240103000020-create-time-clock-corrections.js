@@ -0,0 +1,178 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('time_clocks', 'is_edited', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Se ha modificado después de fichar (ver time_clock_revisions)'
+    });
+
+    await queryInterface.createTable('time_clock_corrections', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      time_clock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'time_clocks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      clock_in_time: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      clock_out_time: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      break_time_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pendiente', 'aprobada', 'rechazada'),
+        allowNull: false,
+        defaultValue: 'pendiente'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('time_clock_corrections', ['store_id', 'status']);
+    await queryInterface.addIndex('time_clock_corrections', ['time_clock_id']);
+    await queryInterface.addIndex('time_clock_corrections', ['requested_by']);
+
+    // Historial de modificaciones: forma parte del registro de jornada, así que no se borra en cascada
+    await queryInterface.createTable('time_clock_revisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      time_clock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'time_clocks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      correction_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'time_clock_corrections',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      previous_values: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      new_values: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('time_clock_revisions', ['time_clock_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('time_clock_revisions');
+    await queryInterface.dropTable('time_clock_corrections');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_time_clock_corrections_status";');
+    await queryInterface.removeColumn('time_clocks', 'is_edited');
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Borrado lógico: un fichaje eliminado se conserva, con su historial, para el registro de jornada
+    await queryInterface.addColumn('time_clocks', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('time_clock_revisions', 'action', {
+      type: Sequelize.ENUM('create', 'update', 'delete'),
+      allowNull: false,
+      defaultValue: 'update'
+    });
+
+    // Al crear no hay valores anteriores y al eliminar no hay valores nuevos
+    await queryInterface.changeColumn('time_clock_revisions', 'previous_values', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('time_clock_revisions', 'new_values', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Sin borrado lógico los fichajes eliminados volverían a aparecer: se borran con su historial
+    await queryInterface.sequelize.query(
+      `DELETE FROM time_clock_revisions
+       WHERE action <> 'update' OR time_clock_id IN (SELECT id FROM time_clocks WHERE deleted_at IS NOT NULL);`
+    );
+    await queryInterface.sequelize.query('DELETE FROM time_clocks WHERE deleted_at IS NOT NULL;');
+
+    await queryInterface.changeColumn('time_clock_revisions', 'new_values', {
+      type: Sequelize.JSONB,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('time_clock_revisions', 'previous_values', {
+      type: Sequelize.JSONB,
+      allowNull: false
+    });
+    await queryInterface.removeColumn('time_clock_revisions', 'action');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_time_clock_revisions_action";');
+    await queryInterface.removeColumn('time_clocks', 'deleted_at');
+  }
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('time_clock_breaks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      time_clock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'time_clocks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('paid', 'unpaid'),
+        allowNull: false,
+        defaultValue: 'unpaid'
+      },
+      start_time: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      end_time: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('time_clock_breaks', ['time_clock_id', 'start_time']);
+
+    // Pausa mínima obligatoria en turnos largos, configurable por tienda (0 = sin mínimo)
+    await queryInterface.addColumn('stores', 'min_break_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('stores', 'min_break_after_hours', {
+      type: Sequelize.DECIMAL(4, 2),
+      allowNull: false,
+      defaultValue: 6
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('stores', 'min_break_after_hours');
+    await queryInterface.removeColumn('stores', 'min_break_minutes');
+    await queryInterface.dropTable('time_clock_breaks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_time_clock_breaks_type";');
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('jornada_acknowledgements', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      store_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      month: {
+        type: Sequelize.STRING(7),
+        allowNull: false
+      },
+      report_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      signature_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('jornada_acknowledgements', ['user_id', 'store_id', 'month']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('jornada_acknowledgements');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Las correcciones proponen pausas, no minutos de descanso
+    await queryInterface.addColumn('time_clock_corrections', 'breaks', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+    await queryInterface.removeColumn('time_clock_corrections', 'break_time_minutes');
+
+    // Lo que falta de la pausa mínima es un aviso aparte: ya no se descuenta de las horas
+    await queryInterface.addColumn('time_clocks', 'break_shortfall_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('time_clocks', 'break_shortfall_minutes');
+    await queryInterface.addColumn('time_clock_corrections', 'break_time_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.removeColumn('time_clock_corrections', 'breaks');
+  }
+};
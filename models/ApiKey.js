@@ -0,0 +1,169 @@
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const { API_KEY_PREFIX, API_KEY_SCOPES } = require('../config/apiKeys');
+
+// Cada cuánto se actualiza last_used_at como máximo (evita una escritura por petición)
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      comment: 'Tienda en la que actúa la key (la activa al crearla)'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [2, 100],
+          msg: 'El nombre de la API key debe tener entre 2 y 100 caracteres'
+        }
+      }
+    },
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      comment: 'Primeros caracteres de la key, para reconocerla en la lista'
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(30)),
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        knownScopes(value) {
+          const unknown = (value || []).filter(scope => !API_KEY_SCOPES.includes(scope));
+          if (unknown.length > 0) {
+            throw new Error(`Scopes desconocidos: ${unknown.join(', ')}`);
+          }
+        }
+      }
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null si la key no caduca'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  ApiKey.prototype.isActive = function() {
+    return !this.revoked_at && (!this.expires_at || new Date(this.expires_at) > new Date());
+  };
+
+  ApiKey.prototype.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+  };
+
+  // Registrar el uso de la key (como mucho una vez por minuto)
+  ApiKey.prototype.touch = async function(req) {
+    const lastUsed = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL_MS) {
+      return;
+    }
+    this.last_used_at = new Date();
+    this.last_used_ip = req.ip;
+    await this.save({ fields: ['last_used_at', 'last_used_ip'] });
+  };
+
+  ApiKey.prototype.toSafeObject = function() {
+    const { key_hash, ...safeKey } = this.toJSON();
+    safeKey.is_active = this.isActive();
+    return safeKey;
+  };
+
+  // Métodos estáticos
+  // Crear una key. Devuelve el registro y la key en claro (solo se muestra una vez)
+  ApiKey.issue = async function({ userId, storeId, name, scopes, expiresInDays = null }) {
+    const key = `${API_KEY_PREFIX}${generateSecureToken(32)}`;
+    const apiKey = await this.create({
+      user_id: userId,
+      store_id: storeId,
+      name,
+      key_prefix: key.slice(0, 12),
+      key_hash: hashToken(key),
+      scopes,
+      expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { apiKey, key };
+  };
+
+  ApiKey.findActiveByKey = async function(key) {
+    const apiKey = await this.findOne({ where: { key_hash: hashToken(key) } });
+    return apiKey && apiKey.isActive() ? apiKey : null;
+  };
+
+  ApiKey.countActiveForUser = async function(userId) {
+    const { Op } = sequelize.Sequelize;
+    return await this.count({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        [Op.or]: [
+          { expires_at: null },
+          { expires_at: { [Op.gt]: new Date() } }
+        ]
+      }
+    });
+  };
+
+  // Asociaciones
+  ApiKey.associate = function(models) {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    ApiKey.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+  };
+
+  return ApiKey;
+};
@@ -0,0 +1,146 @@
+module.exports = (sequelize, DataTypes) => {
+  const Impersonation = sequelize.define('Impersonation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario real que actúa como otro (el jefe)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario suplantado'
+    },
+    session_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'id'
+      },
+      comment: 'Sesión del usuario real; al cerrarla termina también la suplantación'
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'impersonations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['actor_id', 'created_at']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  Impersonation.prototype.isActive = function() {
+    return !this.ended_at && new Date(this.expires_at) > new Date();
+  };
+
+  Impersonation.prototype.end = async function(options = {}) {
+    if (!this.ended_at) {
+      this.ended_at = new Date();
+      await this.save(options);
+    }
+  };
+
+  // Registrar una petición hecha durante la suplantación.
+  // Un fallo al registrar no debe interrumpir la petición
+  Impersonation.prototype.logRequest = async function(req, statusCode, confirmed) {
+    try {
+      return await sequelize.models.ImpersonationRequest.create({
+        impersonation_id: this.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0].slice(0, 255),
+        query: Object.keys(req.query || {}).length > 0 ? req.query : null,
+        status_code: statusCode,
+        confirmed
+      });
+    } catch (error) {
+      console.error('Error registrando petición durante la suplantación:', error);
+      return null;
+    }
+  };
+
+  // Métodos estáticos
+  Impersonation.start = async function({ actorId, userId, sessionId, storeId, reason, expiresInMinutes }, req) {
+    return await this.create({
+      actor_id: actorId,
+      user_id: userId,
+      session_id: sessionId,
+      store_id: storeId,
+      reason: reason || null,
+      ip_address: req.ip,
+      expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    });
+  };
+
+  // Asociaciones
+  Impersonation.associate = function(models) {
+    Impersonation.belongsTo(models.User, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+
+    Impersonation.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    Impersonation.belongsTo(models.UserSession, {
+      foreignKey: 'session_id',
+      as: 'session'
+    });
+
+    Impersonation.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    Impersonation.hasMany(models.ImpersonationRequest, {
+      foreignKey: 'impersonation_id',
+      as: 'requests'
+    });
+  };
+
+  return Impersonation;
+};
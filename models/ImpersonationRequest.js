@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+  const ImpersonationRequest = sequelize.define('ImpersonationRequest', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    impersonation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'impersonations',
+        key: 'id'
+      }
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    path: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    query: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    status_code: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    confirmed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Escritura confirmada explícitamente con la cabecera X-Impersonation-Confirm'
+    }
+  }, {
+    tableName: 'impersonation_requests',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['impersonation_id', 'created_at']
+      }
+    ]
+  });
+
+  // Asociaciones
+  ImpersonationRequest.associate = function(models) {
+    ImpersonationRequest.belongsTo(models.Impersonation, {
+      foreignKey: 'impersonation_id',
+      as: 'impersonation'
+    });
+  };
+
+  return ImpersonationRequest;
+};
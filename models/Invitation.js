@@ -0,0 +1,162 @@
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+
+module.exports = (sequelize, DataTypes) => {
+  const Invitation = sequelize.define('Invitation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      comment: 'Tienda a la que se une el usuario al aceptar'
+    },
+    email: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: 'Debe proporcionar un email válido'
+        }
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    role: {
+      type: DataTypes.ENUM('jefe', 'encargado', 'trabajador'),
+      allowNull: false,
+      defaultValue: 'trabajador',
+      validate: {
+        isIn: {
+          args: [['jefe', 'encargado', 'trabajador']],
+          msg: 'El rol debe ser jefe, encargado o trabajador'
+        }
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    invited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario creado al aceptar la invitación'
+    }
+  }, {
+    tableName: 'invitations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['email']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  Invitation.prototype.getStatus = function() {
+    if (this.accepted_at) return 'aceptada';
+    if (this.revoked_at) return 'revocada';
+    if (new Date(this.expires_at) <= new Date()) return 'caducada';
+    return 'pendiente';
+  };
+
+  Invitation.prototype.isPending = function() {
+    return this.getStatus() === 'pendiente';
+  };
+
+  Invitation.prototype.toSafeObject = function() {
+    const { token_hash, ...safeInvitation } = this.toJSON();
+    safeInvitation.status = this.getStatus();
+    return safeInvitation;
+  };
+
+  // Métodos estáticos
+  // Crear una invitación. Devuelve el registro y el token en claro (solo se muestra una vez)
+  Invitation.issue = async function({ email, name, role, storeId, invitedBy, expiresInDays }, options = {}) {
+    const token = generateSecureToken(32);
+    const invitation = await this.create({
+      store_id: storeId,
+      email,
+      name: name || null,
+      role,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invited_by: invitedBy
+    }, options);
+
+    return { invitation, token };
+  };
+
+  Invitation.findByToken = async function(token, options = {}) {
+    return await this.findOne({
+      where: { token_hash: hashToken(token) },
+      ...options
+    });
+  };
+
+  Invitation.findPendingByEmail = async function(email) {
+    const { Op } = sequelize.Sequelize;
+    return await this.findOne({
+      where: {
+        email,
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+  };
+
+  // Asociaciones
+  Invitation.associate = function(models) {
+    Invitation.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'invited_by',
+      as: 'inviter'
+    });
+
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return Invitation;
+};
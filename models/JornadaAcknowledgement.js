@@ -0,0 +1,90 @@
+// Firma del trabajador de su registro de jornada mensual. Guarda la huella (SHA-256) del informe
+// firmado: si después se corrige algún fichaje del mes, la firma deja de corresponder al informe actual
+module.exports = (sequelize, DataTypes) => {
+  const JornadaAcknowledgement = sequelize.define('JornadaAcknowledgement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    month: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      comment: 'Mes del registro (AAAA-MM)',
+      validate: {
+        is: {
+          args: /^\d{4}-(0[1-9]|1[0-2])$/,
+          msg: 'El mes debe tener el formato AAAA-MM'
+        }
+      }
+    },
+    report_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 del contenido del registro en el momento de la firma'
+    },
+    signature_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Nombre escrito por el trabajador como firma'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'jornada_acknowledgements',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'store_id', 'month']
+      }
+    ]
+  });
+
+  // Métodos estáticos
+  // Última firma del trabajador para un mes (puede haber varias si el registro cambió y volvió a firmarlo)
+  JornadaAcknowledgement.findLatest = async function(userId, storeId, month) {
+    return await this.findOne({
+      where: { user_id: userId, store_id: storeId, month },
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  // Asociaciones
+  JornadaAcknowledgement.associate = function(models) {
+    JornadaAcknowledgement.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    JornadaAcknowledgement.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return JornadaAcknowledgement;
+};
@@ -0,0 +1,102 @@
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+
+module.exports = (sequelize, DataTypes) => {
+  const KioskDevice = sequelize.define('KioskDevice', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [2, 100],
+          msg: 'El nombre del dispositivo debe tener entre 2 y 100 caracteres'
+        }
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    registered_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'kiosk_devices',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Métodos de instancia
+  KioskDevice.prototype.toSafeObject = function() {
+    const { token_hash, ...safeDevice } = this.toJSON();
+    safeDevice.is_active = !this.revoked_at;
+    return safeDevice;
+  };
+
+  // Métodos estáticos
+  // Registrar un dispositivo. Devuelve el registro y la credencial en claro (solo se muestra una vez)
+  KioskDevice.register = async function(name, storeId, registeredBy) {
+    const token = generateSecureToken();
+    const device = await this.create({
+      name,
+      store_id: storeId,
+      token_hash: hashToken(token),
+      registered_by: registeredBy
+    });
+
+    return { device, token };
+  };
+
+  KioskDevice.findActiveByToken = async function(token) {
+    return await this.findOne({
+      where: { token_hash: hashToken(token), revoked_at: null }
+    });
+  };
+
+  // Asociaciones
+  KioskDevice.associate = function(models) {
+    KioskDevice.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    KioskDevice.belongsTo(models.User, {
+      foreignKey: 'registered_by',
+      as: 'registeredBy'
+    });
+
+    KioskDevice.hasMany(models.KioskPunch, {
+      foreignKey: 'kiosk_device_id',
+      as: 'punches'
+    });
+  };
+
+  return KioskDevice;
+};
@@ -0,0 +1,101 @@
+module.exports = (sequelize, DataTypes) => {
+  const KioskPunch = sequelize.define('KioskPunch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    kiosk_device_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'kiosk_devices',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Null si no se pudo identificar al trabajador'
+    },
+    time_clock_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'time_clocks',
+        key: 'id'
+      }
+    },
+    method: {
+      type: DataTypes.ENUM('pin', 'badge'),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('clock_in', 'clock_out'),
+      allowNull: true
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    failure_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'kiosk_punches',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['kiosk_device_id', 'created_at']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  // Métodos estáticos
+  // Intentos de PIN fallidos recientes de un trabajador (para limitar la fuerza bruta)
+  KioskPunch.countRecentFailures = async function(userId, sinceMs) {
+    const { Op } = sequelize.Sequelize;
+    return await this.count({
+      where: {
+        user_id: userId,
+        success: false,
+        failure_reason: 'INVALID_PIN',
+        created_at: { [Op.gt]: new Date(Date.now() - sinceMs) }
+      }
+    });
+  };
+
+  // Asociaciones
+  KioskPunch.associate = function(models) {
+    KioskPunch.belongsTo(models.KioskDevice, {
+      foreignKey: 'kiosk_device_id',
+      as: 'device'
+    });
+
+    KioskPunch.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    KioskPunch.belongsTo(models.TimeClock, {
+      foreignKey: 'time_clock_id',
+      as: 'timeClock'
+    });
+  };
+
+  return KioskPunch;
+};
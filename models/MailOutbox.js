@@ -0,0 +1,46 @@
+module.exports = (sequelize, DataTypes) => {
+  const MailOutbox = sequelize.define('MailOutbox', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    to_address: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    from_address: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    body_text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    body_html: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha de envío real si un proceso externo reenvía el mensaje'
+    }
+  }, {
+    tableName: 'mail_outbox',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['to_address']
+      }
+    ]
+  });
+
+  return MailOutbox;
+};
@@ -0,0 +1,69 @@
+module.exports = (sequelize, DataTypes) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  // Métodos estáticos
+  // Guardar un hash anterior y conservar solo los `keep` más recientes
+  PasswordHistory.record = async function(userId, passwordHash, keep, options = {}) {
+    await this.create({ user_id: userId, password_hash: passwordHash }, options);
+
+    const stale = await this.findAll({
+      where: { user_id: userId },
+      attributes: ['id'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      offset: keep,
+      ...options
+    });
+
+    if (stale.length > 0) {
+      await this.destroy({ where: { id: stale.map(entry => entry.id) }, ...options });
+    }
+  };
+
+  PasswordHistory.getRecentHashes = async function(userId, limit) {
+    const entries = await this.findAll({
+      where: { user_id: userId },
+      attributes: ['password_hash'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+    return entries.map(entry => entry.password_hash);
+  };
+
+  // Asociaciones
+  PasswordHistory.associate = function(models) {
+    PasswordHistory.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return PasswordHistory;
+};
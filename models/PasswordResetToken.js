@@ -0,0 +1,93 @@
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+
+// Duración del token de restablecimiento (en minutos)
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+module.exports = (sequelize, DataTypes) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    requested_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'password_reset_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  PasswordResetToken.prototype.isValid = function() {
+    return !this.used_at && new Date(this.expires_at) > new Date();
+  };
+
+  // Métodos estáticos
+  PasswordResetToken.TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES;
+
+  // Crear un token nuevo invalidando los anteriores sin usar del usuario.
+  // Devuelve el registro y el token en claro. ttlMinutes permite un enlace más largo
+  // (p. ej. el de establecer contraseña de una cuenta importada)
+  PasswordResetToken.issue = async function(userId, requestedIp = null, { ttlMinutes = PASSWORD_RESET_TTL_MINUTES, transaction } = {}) {
+    await this.update(
+      { used_at: new Date() },
+      { where: { user_id: userId, used_at: null }, transaction }
+    );
+
+    const token = generateSecureToken(32);
+    const record = await this.create({
+      user_id: userId,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      requested_ip: requestedIp
+    }, { transaction });
+
+    return { record, token };
+  };
+
+  PasswordResetToken.findByToken = async function(token) {
+    return await this.findOne({
+      where: { token_hash: hashToken(token) }
+    });
+  };
+
+  // Asociaciones
+  PasswordResetToken.associate = function(models) {
+    PasswordResetToken.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return PasswordResetToken;
+};
@@ -0,0 +1,129 @@
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+
+// Duración del refresh token (en días)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    family: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'id'
+      },
+      comment: 'Sesión (user_sessions.id) a la que pertenecen todos los tokens rotados desde un mismo login'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    replaced_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID del token que sustituyó a este al rotar'
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['family']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  RefreshToken.prototype.isActive = function() {
+    return !this.revoked_at && new Date(this.expires_at) > new Date();
+  };
+
+  // Métodos estáticos
+  RefreshToken.getExpiryDate = function() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  };
+
+  // Crear un refresh token nuevo para una sesión y extender la caducidad de esta.
+  // Devuelve el registro y el token en claro
+  RefreshToken.issue = async function(userId, family, options = {}) {
+    const token = generateSecureToken();
+    const expiresAt = this.getExpiryDate();
+    const record = await this.create({
+      user_id: userId,
+      token_hash: hashToken(token),
+      family,
+      expires_at: expiresAt
+    }, options);
+
+    await sequelize.models.UserSession.update(
+      { expires_at: expiresAt },
+      { where: { id: family }, ...options }
+    );
+
+    return { record, token };
+  };
+
+  RefreshToken.findByToken = async function(token) {
+    return await this.findOne({
+      where: { token_hash: hashToken(token) }
+    });
+  };
+
+  // Revocar todos los tokens de una familia (un login concreto)
+  RefreshToken.revokeFamily = async function(family, options = {}) {
+    return await this.update(
+      { revoked_at: new Date() },
+      { where: { family, revoked_at: null }, ...options }
+    );
+  };
+
+  // Revocar todos los tokens de un usuario (todas sus sesiones)
+  RefreshToken.revokeAllForUser = async function(userId, options = {}) {
+    return await this.update(
+      { revoked_at: new Date() },
+      { where: { user_id: userId, revoked_at: null }, ...options }
+    );
+  };
+
+  // Asociaciones
+  RefreshToken.associate = function(models) {
+    RefreshToken.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    RefreshToken.belongsTo(models.UserSession, {
+      foreignKey: 'family',
+      as: 'session'
+    });
+  };
+
+  return RefreshToken;
+};
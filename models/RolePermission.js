@@ -0,0 +1,75 @@
+const { PERMISSIONS, ROLES, SUPERUSER_ROLE } = require('../config/permissions');
+
+module.exports = (sequelize, DataTypes) => {
+  const RolePermission = sequelize.define('RolePermission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [ROLES],
+          msg: 'Rol inválido'
+        }
+      }
+    },
+    permission: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [Object.keys(PERMISSIONS)],
+          msg: 'Permiso desconocido'
+        }
+      }
+    }
+  }, {
+    tableName: 'role_permissions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['role', 'permission']
+      }
+    ]
+  });
+
+  // Caché en memoria de los permisos de cada rol (se invalida al modificarlos)
+  const cache = new Map();
+
+  // Métodos estáticos
+  RolePermission.getPermissions = async function(role) {
+    if (role === SUPERUSER_ROLE) {
+      return Object.keys(PERMISSIONS);
+    }
+
+    if (!cache.has(role)) {
+      const rows = await this.findAll({ where: { role }, attributes: ['permission'] });
+      cache.set(role, rows.map(row => row.permission));
+    }
+
+    return cache.get(role);
+  };
+
+  // Sustituir los permisos de un rol
+  RolePermission.setPermissions = async function(role, permissions) {
+    await sequelize.transaction(async (transaction) => {
+      await this.destroy({ where: { role }, transaction });
+      await this.bulkCreate(
+        permissions.map(permission => ({ role, permission })),
+        { transaction, validate: true }
+      );
+    });
+
+    cache.delete(role);
+    return await this.getPermissions(role);
+  };
+
+  return RolePermission;
+};
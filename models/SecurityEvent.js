@@ -0,0 +1,123 @@
+module.exports = (sequelize, DataTypes) => {
+  const EVENT_TYPES = [
+    'login_success',
+    'login_failed',
+    'password_changed',
+    'password_reset',
+    'token_refreshed',
+    'role_changed',
+    'user_deactivated',
+    'user_reactivated',
+    'impersonation_started',
+    'impersonation_ended',
+    'api_key_created',
+    'api_key_revoked',
+    'data_exported',
+    'user_anonymized'
+  ];
+
+  const SecurityEvent = sequelize.define('SecurityEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Null si el login falló con un identificador que no existe'
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario que realizó la acción cuando no es el propio afectado (p. ej. el jefe)'
+    },
+    event_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [EVENT_TYPES],
+          msg: 'Tipo de evento de seguridad inválido'
+        }
+      }
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Datos adicionales del evento (motivo del fallo, rol anterior y nuevo, etc.)'
+    }
+  }, {
+    tableName: 'security_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['event_type']
+      }
+    ]
+  });
+
+  SecurityEvent.EVENT_TYPES = EVENT_TYPES;
+
+  // Métodos estáticos
+  // Registrar un evento con la IP y el user agent de la petición.
+  // Un fallo al registrar no debe interrumpir la operación que lo origina
+  SecurityEvent.record = async function(eventType, req, { userId = null, actorId = null, success = true, details = null } = {}, options = {}) {
+    try {
+      const userAgent = req.get('user-agent');
+      return await this.create({
+        user_id: userId,
+        actor_id: actorId,
+        event_type: eventType,
+        success,
+        ip_address: req.ip,
+        user_agent: userAgent ? userAgent.slice(0, 500) : null,
+        details
+      }, options);
+    } catch (error) {
+      console.error(`Error registrando evento de seguridad ${eventType}:`, error);
+      return null;
+    }
+  };
+
+  // Asociaciones
+  SecurityEvent.associate = function(models) {
+    SecurityEvent.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    SecurityEvent.belongsTo(models.User, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+  };
+
+  return SecurityEvent;
+};
@@ -0,0 +1,140 @@
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/dates');
+
+module.exports = (sequelize, DataTypes) => {
+  const Store = sequelize.define('Store', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [2, 100],
+          msg: 'El nombre de la tienda debe tener entre 2 y 100 caracteres'
+        }
+      }
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: {
+          args: /^[a-z0-9-]+$/,
+          msg: 'El código solo puede contener minúsculas, números y guiones'
+        }
+      },
+      comment: 'Identificador corto de la tienda (p. ej. "centro")'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: DEFAULT_TIMEZONE,
+      comment: 'Zona horaria IANA de la tienda: decide a qué día pertenece cada fichaje y registro de tiempo',
+      validate: {
+        isTimeZone(value) {
+          if (!isValidTimeZone(value)) {
+            throw new Error('La zona horaria debe ser una zona IANA válida (p. ej. Europe/Madrid)');
+          }
+        }
+      }
+    },
+    min_break_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Pausa mínima obligatoria en turnos largos (0 = sin mínimo)',
+      validate: {
+        min: {
+          args: [0],
+          msg: 'La pausa mínima no puede ser negativa'
+        },
+        max: {
+          args: [120],
+          msg: 'La pausa mínima no puede superar los 120 minutos'
+        }
+      }
+    },
+    min_break_after_hours: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: false,
+      defaultValue: 6,
+      comment: 'Duración del turno a partir de la cual se exige la pausa mínima',
+      validate: {
+        min: {
+          args: [1],
+          msg: 'El umbral de la pausa mínima debe ser de al menos 1 hora'
+        },
+        max: {
+          args: [12],
+          msg: 'El umbral de la pausa mínima no puede superar las 12 horas'
+        }
+      }
+    }
+  }, {
+    tableName: 'stores',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Métodos de instancia
+  // Recalcular el día (date) de todos los fichajes y registros de tiempo de la tienda con su zona horaria
+  Store.prototype.recomputeDates = async function(options = {}) {
+    const buckets = [['time_clocks', 'clock_in_time'], ['time_entries', 'start_time']];
+    for (const [table, column] of buckets) {
+      await sequelize.query(
+        `UPDATE ${table} SET date = (${column} AT TIME ZONE :timezone)::date WHERE store_id = :storeId`,
+        { replacements: { timezone: this.timezone, storeId: this.id }, transaction: options.transaction }
+      );
+    }
+  };
+
+  // Métodos estáticos
+  // Tienda a la que se une el autorregistro público: DEFAULT_STORE_ID o la primera activa
+  Store.getDefault = async function() {
+    const defaultId = parseInt(process.env.DEFAULT_STORE_ID, 10);
+    if (defaultId) {
+      return await this.findOne({ where: { id: defaultId, is_active: true } });
+    }
+    return await this.findOne({ where: { is_active: true }, order: [['id', 'ASC']] });
+  };
+
+  // Zona horaria de una tienda (DEFAULT_TIMEZONE si no existe)
+  Store.getTimeZone = async function(storeId, options = {}) {
+    const store = await this.findByPk(storeId, { ...options, attributes: ['timezone'] });
+    return store ? store.timezone : DEFAULT_TIMEZONE;
+  };
+
+  // Pausa mínima de la tienda: { minBreakMinutes, afterHours }
+  Store.getBreakPolicy = async function(storeId, options = {}) {
+    const store = await this.findByPk(storeId, {
+      ...options,
+      attributes: ['min_break_minutes', 'min_break_after_hours']
+    });
+    return {
+      minBreakMinutes: store ? store.min_break_minutes : 0,
+      afterHours: store ? parseFloat(store.min_break_after_hours) : 6
+    };
+  };
+
+  // Asociaciones
+  Store.associate = function(models) {
+    Store.belongsToMany(models.User, {
+      through: models.StoreMembership,
+      foreignKey: 'store_id',
+      otherKey: 'user_id',
+      as: 'members'
+    });
+  };
+
+  return Store;
+};
@@ -0,0 +1,92 @@
+module.exports = (sequelize, DataTypes) => {
+  const StoreMembership = sequelize.define('StoreMembership', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'store_memberships',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['store_id', 'user_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Métodos estáticos
+  StoreMembership.isMember = async function(userId, storeId, options = {}) {
+    const count = await this.count({ where: { user_id: userId, store_id: storeId }, ...options });
+    return count > 0;
+  };
+
+  // Tiendas activas del usuario
+  StoreMembership.getStores = async function(userId) {
+    const memberships = await this.findAll({
+      where: { user_id: userId },
+      include: [
+        {
+          model: sequelize.models.Store,
+          as: 'store',
+          where: { is_active: true }
+        }
+      ],
+      order: [['store_id', 'ASC']]
+    });
+    return memberships.map(membership => membership.store);
+  };
+
+  // Tienda con la que se abre una sesión: la solicitada si pertenece a ella,
+  // si no la primera de sus tiendas activas. Null si no tiene ninguna
+  StoreMembership.pickStore = async function(userId, preferredStoreId = null) {
+    const stores = await this.getStores(userId);
+    const preferred = stores.find(store => store.id === parseInt(preferredStoreId, 10));
+    return preferred || stores[0] || null;
+  };
+
+  StoreMembership.add = async function(userId, storeId, options = {}) {
+    const [membership] = await this.findOrCreate({
+      where: { user_id: userId, store_id: storeId },
+      ...options
+    });
+    return membership;
+  };
+
+  // Asociaciones
+  StoreMembership.associate = function(models) {
+    StoreMembership.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    StoreMembership.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return StoreMembership;
+};
@@ -5,6 +5,14 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
     title: {
       type: DataTypes.STRING(200),
       allowNull: false,
@@ -27,6 +35,15 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    team_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'teams',
+        key: 'id'
+      },
+      comment: 'Cola del equipo: sin assigned_to, solo la ven y se la asignan sus miembros'
+    },
     created_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -146,14 +163,35 @@ module.exports = (sequelize, DataTypes) => {
     return new Date(this.due_date) < new Date();
   };
 
+  // Métodos estáticos
+  // Buscar una tarea solo si pertenece a la tienda indicada
+  Task.findInStore = async function(id, storeId, options = {}) {
+    return await this.findOne({
+      ...options,
+      where: { ...options.where, id, store_id: storeId }
+    });
+  };
+
   // Asociaciones
   Task.associate = function(models) {
+    // Una tarea pertenece a una tienda
+    Task.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
     // Una tarea pertenece a un usuario asignado
     Task.belongsTo(models.User, {
       foreignKey: 'assigned_to',
       as: 'assignedUser'
     });
 
+    // Una tarea puede estar en la cola de un equipo
+    Task.belongsTo(models.Team, {
+      foreignKey: 'team_id',
+      as: 'team'
+    });
+
     // Una tarea pertenece a un usuario creador
     Task.belongsTo(models.User, {
       foreignKey: 'created_by',
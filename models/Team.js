@@ -0,0 +1,124 @@
+module.exports = (sequelize, DataTypes) => {
+  const Team = sequelize.define('Team', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: {
+          args: [2, 100],
+          msg: 'El nombre del equipo debe tener entre 2 y 100 caracteres'
+        }
+      }
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    supervisor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Responsable del equipo: ve sus tareas y sus informes aunque no tenga permisos generales'
+    }
+  }, {
+    tableName: 'teams',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['store_id', 'name']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  Team.prototype.hasMember = async function(userId) {
+    const count = await sequelize.models.TeamMembership.count({
+      where: { team_id: this.id, user_id: userId }
+    });
+    return count > 0;
+  };
+
+  // Métodos estáticos
+  Team.findInStore = async function(id, storeId, options = {}) {
+    return await this.findOne({
+      ...options,
+      where: { ...options.where, id, store_id: storeId }
+    });
+  };
+
+  // Equipos de una tienda a los que pertenece un usuario
+  Team.getTeamIdsForUser = async function(userId, storeId) {
+    const teams = await this.findAll({
+      where: { store_id: storeId },
+      attributes: ['id'],
+      include: [{ model: sequelize.models.User, as: 'members', where: { id: userId }, attributes: [], through: { attributes: [] } }]
+    });
+    return teams.map(team => team.id);
+  };
+
+  // Equipos de una tienda que supervisa un usuario
+  Team.getSupervisedTeamIds = async function(userId, storeId) {
+    const teams = await this.findAll({
+      where: { store_id: storeId, supervisor_id: userId },
+      attributes: ['id']
+    });
+    return teams.map(team => team.id);
+  };
+
+  // Condición where para limitar una consulta de usuarios a los miembros de un equipo
+  Team.memberFilter = function(teamId) {
+    const { Op } = sequelize.Sequelize;
+    return {
+      id: {
+        [Op.in]: sequelize.literal(`(SELECT user_id FROM team_memberships WHERE team_id = ${parseInt(teamId, 10)})`)
+      }
+    };
+  };
+
+  // Asociaciones
+  Team.associate = function(models) {
+    Team.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    Team.belongsTo(models.User, {
+      foreignKey: 'supervisor_id',
+      as: 'supervisor'
+    });
+
+    Team.belongsToMany(models.User, {
+      through: models.TeamMembership,
+      foreignKey: 'team_id',
+      otherKey: 'user_id',
+      as: 'members'
+    });
+
+    // Cola de tareas del equipo
+    Team.hasMany(models.Task, {
+      foreignKey: 'team_id',
+      as: 'tasks'
+    });
+  };
+
+  return Team;
+};
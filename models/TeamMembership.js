@@ -0,0 +1,54 @@
+module.exports = (sequelize, DataTypes) => {
+  const TeamMembership = sequelize.define('TeamMembership', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    team_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'teams',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'team_memberships',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['team_id', 'user_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Asociaciones
+  TeamMembership.associate = function(models) {
+    TeamMembership.belongsTo(models.Team, {
+      foreignKey: 'team_id',
+      as: 'team'
+    });
+
+    TeamMembership.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return TeamMembership;
+};
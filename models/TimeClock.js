@@ -1,3 +1,9 @@
+const { toLocalDate, startOfLocalDay, endOfLocalDay, splitByLocalDay } = require('../utils/dates');
+const { maxShiftHours, autoClose } = require('../config/timeTracking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SHIFT_MS = maxShiftHours * HOUR_MS;
+
 module.exports = (sequelize, DataTypes) => {
   const TimeClock = sequelize.define('TimeClock', {
     id: {
@@ -5,6 +11,14 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
     user_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -33,6 +47,11 @@ module.exports = (sequelize, DataTypes) => {
           if (value && this.clock_in_time && value <= this.clock_in_time) {
             throw new Error('La hora de salida debe ser posterior a la hora de entrada');
           }
+        },
+        isWithinMaxShift(value) {
+          if (value && this.clock_in_time && new Date(value) - new Date(this.clock_in_time) > MAX_SHIFT_MS) {
+            throw new Error(`Un fichaje no puede durar más de ${maxShiftHours} horas`);
+          }
         }
       }
     },
@@ -55,8 +74,8 @@ module.exports = (sequelize, DataTypes) => {
           msg: 'Las horas totales no pueden ser negativas'
         },
         max: {
-          args: [24],
-          msg: 'Las horas totales no pueden exceder 24 horas en un día'
+          args: [maxShiftHours],
+          msg: `Las horas totales no pueden exceder ${maxShiftHours} horas por fichaje`
         }
       }
     },
@@ -64,17 +83,27 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       allowNull: true,
       defaultValue: 0,
+      comment: 'Minutos de pausas no retribuidas, que se descuentan de total_hours',
       validate: {
         min: {
           args: [0],
           msg: 'El tiempo de descanso no puede ser negativo'
         },
-        max: {
-          args: [480], // 8 horas máximo de descanso
-          msg: 'El tiempo de descanso no puede exceder 8 horas'
+        // Las pausas están dentro del fichaje; se redondea hacia arriba por los minutos redondeados
+        isWithinShift(value) {
+          if (value && this.clock_in_time && this.clock_out_time &&
+              value > Math.ceil((new Date(this.clock_out_time) - new Date(this.clock_in_time)) / (60 * 1000))) {
+            throw new Error('El tiempo de descanso no puede superar la duración del fichaje');
+          }
         }
       }
     },
+    break_shortfall_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Minutos que faltaron para la pausa mínima de la tienda (aviso; no se descuentan de las horas)'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -83,22 +112,61 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       comment: 'Indica si el fichaje fue creado manualmente por un administrador'
+    },
+    is_edited: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Se ha modificado después de fichar (ver time_clock_revisions)'
+    },
+    auto_closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'La salida la registró el cierre automático, no el trabajador'
+    },
+    needs_review: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Pendiente de que un responsable revise la hora de salida'
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'time_clocks',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    // Los fichajes eliminados se conservan (con su historial) para el registro de jornada
+    paranoid: true,
+    deletedAt: 'deleted_at',
     indexes: [
       {
         fields: ['date']
       },
       {
         fields: ['user_id', 'clock_in_time']
+      },
+      {
+        fields: ['store_id', 'date']
+      },
+      {
+        fields: ['store_id', 'needs_review']
       }
     ],
     hooks: {
-      beforeSave: (timeClock) => {
+      beforeSave: async (timeClock, options) => {
         // Calcular horas totales automáticamente si hay entrada y salida
         if (timeClock.clock_in_time && timeClock.clock_out_time) {
           const diffMs = timeClock.clock_out_time - timeClock.clock_in_time;
@@ -107,26 +175,109 @@ module.exports = (sequelize, DataTypes) => {
           timeClock.total_hours = Math.max(0, diffHours - breakHours);
         }
         
-        // Asegurar que la fecha coincida con la fecha de entrada
-        if (timeClock.clock_in_time) {
-          timeClock.date = timeClock.clock_in_time.toISOString().split('T')[0];
+        // Asegurar que la fecha coincida con el día local de la entrada en la zona horaria de la tienda
+        if (timeClock.clock_in_time && (timeClock.changed('clock_in_time') || timeClock.changed('store_id'))) {
+          const timeZone = await sequelize.models.Store.getTimeZone(timeClock.store_id, { transaction: options.transaction });
+          timeClock.date = toLocalDate(timeClock.clock_in_time, timeZone);
         }
       }
     }
   });
 
   // Métodos de instancia
-  TimeClock.prototype.clockOut = function(clockOutTime = new Date(), breakMinutes = 0) {
+  // Cerrar el fichaje: termina la pausa en curso y calcula el descanso a partir de las pausas
+  TimeClock.prototype.clockOut = async function(clockOutTime = new Date(), options = {}) {
+    await this.closeOpenBreak(clockOutTime, options);
     this.clock_out_time = clockOutTime;
-    this.break_time_minutes = breakMinutes;
-    
-    // Recalcular horas totales
-    const diffMs = this.clock_out_time - this.clock_in_time;
-    const diffHours = diffMs / (1000 * 60 * 60);
-    const breakHours = breakMinutes / 60;
-    this.total_hours = Math.max(0, diffHours - breakHours);
-    
-    return this.save();
+    await this.applyBreaks(options);
+    return await this.save(options);
+  };
+
+  // ----- Pausas -----
+
+  TimeClock.prototype.getOpenBreak = async function(options = {}) {
+    return await sequelize.models.TimeClockBreak.findOne({
+      where: { time_clock_id: this.id, end_time: null },
+      ...options
+    });
+  };
+
+  // Terminar la pausa en curso a la hora de salida. Si empezó después (cierre automático a la
+  // hora prevista) queda sin duración
+  TimeClock.prototype.closeOpenBreak = async function(clockOutTime, options = {}) {
+    const openBreak = await this.getOpenBreak(options);
+    if (openBreak) {
+      const breakEnd = new Date(Math.max(new Date(openBreak.start_time).getTime(), new Date(clockOutTime).getTime()));
+      await openBreak.update({ end_time: breakEnd }, options);
+    }
+    return openBreak;
+  };
+
+  // Sustituir las pausas del fichaje por las indicadas ([{ type, start_time, end_time }])
+  TimeClock.prototype.replaceBreaks = async function(breaks, options = {}) {
+    const { TimeClockBreak } = sequelize.models;
+    await TimeClockBreak.destroy({ where: { time_clock_id: this.id }, transaction: options.transaction });
+    return await TimeClockBreak.bulkCreate(
+      breaks.map(({ type, start_time, end_time }) => ({ time_clock_id: this.id, type, start_time, end_time })),
+      { validate: true, transaction: options.transaction }
+    );
+  };
+
+  TimeClock.prototype.startBreak = async function(type = 'unpaid', options = {}) {
+    return await sequelize.models.TimeClockBreak.create({
+      time_clock_id: this.id,
+      type,
+      start_time: new Date()
+    }, options);
+  };
+
+  TimeClock.prototype.endBreak = async function(openBreak, options = {}) {
+    await openBreak.update({ end_time: new Date() }, options);
+    await this.applyBreaks(options);
+    await this.save(options);
+    return openBreak;
+  };
+
+  // Resumen de las pausas en minutos: retribuidas, no retribuidas y lo que falta para la pausa mínima
+  // de la tienda (solo en fichajes cerrados que superan su umbral; las dos clases de pausa cuentan)
+  TimeClock.prototype.getBreakSummary = async function(options = {}) {
+    const breaks = await sequelize.models.TimeClockBreak.findAll({
+      where: { time_clock_id: this.id },
+      order: [['start_time', 'ASC']],
+      ...options
+    });
+    const until = this.clock_out_time || new Date();
+    const sumMinutes = (type) => breaks
+      .filter(pause => pause.type === type)
+      .reduce((total, pause) => total + pause.getMinutes(until), 0);
+
+    const paidMinutes = sumMinutes('paid');
+    const unpaidMinutes = sumMinutes('unpaid');
+    let shortfallMinutes = 0;
+
+    if (this.clock_out_time) {
+      const policy = await sequelize.models.Store.getBreakPolicy(this.store_id, options);
+      const shiftHours = (new Date(this.clock_out_time) - new Date(this.clock_in_time)) / HOUR_MS;
+      if (policy.minBreakMinutes > 0 && shiftHours > policy.afterHours) {
+        shortfallMinutes = Math.max(0, policy.minBreakMinutes - (paidMinutes + unpaidMinutes));
+      }
+    }
+
+    return {
+      breaks,
+      paid_minutes: Math.round(paidMinutes),
+      unpaid_minutes: Math.round(unpaidMinutes),
+      mandatory_shortfall_minutes: Math.round(shortfallMinutes)
+    };
+  };
+
+  // Descanso que se descuenta de las horas: solo las pausas no retribuidas que se han hecho.
+  // Lo que falte de la pausa mínima queda como aviso en break_shortfall_minutes
+  TimeClock.prototype.applyBreaks = async function(options = {}) {
+    const summary = await this.getBreakSummary(options);
+    this.break_time_minutes = summary.unpaid_minutes;
+    this.break_shortfall_minutes = summary.mandatory_shortfall_minutes;
+    return summary;
   };
 
   TimeClock.prototype.isActive = function() {
@@ -148,9 +299,146 @@ module.exports = (sequelize, DataTypes) => {
     return `${h}h ${m}m`;
   };
 
-  // Métodos estáticos
-  TimeClock.getTodaysClock = async function(userId, date = new Date()) {
-    const today = date.toISOString().split('T')[0];
+  // Comprobar si cerrar el fichaje en ese momento superaría la duración máxima de un turno
+  TimeClock.prototype.exceedsMaxShift = function(clockOutTime = new Date()) {
+    return new Date(clockOutTime) - new Date(this.clock_in_time) > MAX_SHIFT_MS;
+  };
+
+  // Valores del fichaje que se guardan en cada revisión, con sus pausas
+  TimeClock.prototype.getRevisionSnapshot = async function(options = {}) {
+    const breaks = await sequelize.models.TimeClockBreak.findAll({
+      where: { time_clock_id: this.id },
+      attributes: ['type', 'start_time', 'end_time'],
+      order: [['start_time', 'ASC']],
+      transaction: options.transaction
+    });
+
+    return {
+      clock_in_time: this.clock_in_time,
+      clock_out_time: this.clock_out_time,
+      breaks: breaks.map(pause => pause.get({ plain: true })),
+      break_time_minutes: this.break_time_minutes,
+      total_hours: this.total_hours,
+      date: this.date
+    };
+  };
+
+  // Dejar constancia de un cambio en time_clock_revisions: quién, por qué y los valores de antes y después
+  TimeClock.prototype.recordRevision = async function(action, previousValues, newValues, {
+    changedBy, reason, correctionId = null, transaction
+  } = {}) {
+    return await sequelize.models.TimeClockRevision.create({
+      store_id: this.store_id,
+      time_clock_id: this.id,
+      correction_id: correctionId,
+      action,
+      changed_by: changedBy,
+      reason,
+      previous_values: previousValues,
+      new_values: newValues
+    }, { transaction });
+  };
+
+  // Modificar el fichaje dejando constancia de los valores anteriores. "breaks", si se indica,
+  // sustituye sus pausas; si no, se conservan y la que siga en curso termina a la nueva salida.
+  // El descanso se recalcula siempre a partir de las pausas.
+  // Una modificación hecha por un responsable cuenta también como revisión del fichaje
+  TimeClock.prototype.applyRevision = async function(values, options = {}) {
+    const transactionOptions = { transaction: options.transaction };
+    const previousValues = await this.getRevisionSnapshot(transactionOptions);
+    const { breaks, ...clockValues } = values;
+
+    this.set(clockValues);
+    this.is_edited = true;
+    if (this.needs_review) {
+      this.needs_review = false;
+      this.reviewed_by = options.changedBy;
+      this.reviewed_at = new Date();
+    }
+
+    if (breaks) {
+      await this.replaceBreaks(breaks, transactionOptions);
+    } else if (this.clock_out_time) {
+      await this.closeOpenBreak(this.clock_out_time, transactionOptions);
+    }
+    await this.applyBreaks(transactionOptions);
+    await this.save(transactionOptions);
+
+    await this.recordRevision('update', previousValues, await this.getRevisionSnapshot(transactionOptions), options);
+    return this;
+  };
+
+  // Eliminar el fichaje (borrado lógico) dejando constancia de sus últimos valores
+  TimeClock.prototype.removeWithRevision = async function(options = {}) {
+    const snapshot = await this.getRevisionSnapshot({ transaction: options.transaction });
+    await this.recordRevision('delete', snapshot, null, options);
+    await this.destroy({ transaction: options.transaction });
+    return this;
+  };
+
+  // Hora de fin prevista según la ficha laboral: la entrada más la jornada diaria
+  // (horas semanales entre días laborables). Null si el usuario no tiene jornada
+  TimeClock.prototype.getScheduledEnd = function(user) {
+    const weeklyHours = parseFloat(user.weekly_contract_hours) || 0;
+    const workDays = (user.work_days || []).length;
+    if (weeklyHours <= 0 || workDays === 0) {
+      return null;
+    }
+
+    const shiftMs = Math.min((weeklyHours / workDays) * HOUR_MS, MAX_SHIFT_MS);
+    return new Date(new Date(this.clock_in_time).getTime() + shiftMs);
+  };
+
+  // Cuándo cerrar automáticamente el fichaje si sigue abierto: { closeAt, dueAt }.
+  // closeAt es la hora de salida que se registra y dueAt el momento a partir del cual se cierra
+  TimeClock.prototype.getAutoCloseTimes = function(user) {
+    const clockIn = new Date(this.clock_in_time).getTime();
+    const limit = new Date(clockIn + Math.min(autoClose.afterHours * HOUR_MS, MAX_SHIFT_MS));
+    const scheduledEnd = this.getScheduledEnd(user);
+
+    if (scheduledEnd) {
+      const dueAt = new Date(scheduledEnd.getTime() + autoClose.graceMinutes * 60 * 1000);
+      if (dueAt < limit) {
+        return { closeAt: scheduledEnd, dueAt };
+      }
+    }
+
+    return { closeAt: limit, dueAt: limit };
+  };
+
+  // Cerrar un fichaje olvidado: queda marcado para que un responsable lo revise
+  TimeClock.prototype.autoClose = async function(closeAt, options = {}) {
+    this.auto_closed = true;
+    this.needs_review = true;
+    return await this.clockOut(closeAt, options);
+  };
+
+  TimeClock.prototype.markReviewed = async function(reviewerId, options = {}) {
+    this.needs_review = false;
+    this.reviewed_by = reviewerId;
+    this.reviewed_at = new Date();
+    return await this.save(options);
+  };
+
+  // Horas trabajadas en cada día local que abarca el fichaje: { 'YYYY-MM-DD': horas }.
+  // El descanso se descuenta de cada día en proporción; un fichaje abierto cuenta hasta "until"
+  TimeClock.prototype.getHoursByDay = function(timeZone, until = new Date()) {
+    const segments = splitByLocalDay(this.clock_in_time, this.clock_out_time || until, timeZone);
+    const grossMs = segments.reduce((total, segment) => total + segment.milliseconds, 0);
+    if (grossMs <= 0) {
+      return {};
+    }
+
+    const netRatio = Math.max(0, grossMs - (this.break_time_minutes || 0) * 60 * 1000) / grossMs;
+    return segments.reduce((hoursByDay, segment) => {
+      hoursByDay[segment.date] = (segment.milliseconds * netRatio) / (1000 * 60 * 60);
+      return hoursByDay;
+    }, {});
+  };
+
+  // Métodos estáticos ("hoy" es el día local en la zona horaria indicada, la de la tienda)
+  TimeClock.getTodaysClock = async function(userId, timeZone, date = new Date()) {
+    const today = toLocalDate(date, timeZone);
     return await this.findOne({
       where: {
         user_id: userId,
@@ -159,54 +447,109 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  // NUEVO: Obtener el fichaje activo más reciente de hoy (para múltiples fichajes)
-  TimeClock.getTodaysActiveClock = async function(userId, date = new Date()) {
-    const today = date.toISOString().split('T')[0];
+  // Obtener el fichaje abierto más reciente, sea del día que sea: un turno nocturno
+  // abierto a las 22:00 se cierra después de medianoche
+  TimeClock.getActiveClock = async function(userId) {
     return await this.findOne({
       where: {
         user_id: userId,
-        date: today,
         clock_out_time: null
       },
       order: [['clock_in_time', 'DESC']]
     });
   };
 
-  // NUEVO: Obtener todos los fichajes del día
-  TimeClock.getAllTodaysClocks = async function(userId, date = new Date()) {
-    const today = date.toISOString().split('T')[0];
+  // Crear un fichaje a mano (is_manual), con sus pausas, dejando constancia en el historial
+  TimeClock.createManual = async function(values, options = {}) {
+    const transactionOptions = { transaction: options.transaction };
+    const { breaks = [], ...clockValues } = values;
+
+    const clock = await this.create({ ...clockValues, is_manual: true }, transactionOptions);
+    if (breaks.length > 0) {
+      await clock.replaceBreaks(breaks, transactionOptions);
+      await clock.applyBreaks(transactionOptions);
+      await clock.save(transactionOptions);
+    }
+
+    await clock.recordRevision('create', null, await clock.getRevisionSnapshot(transactionOptions), options);
+    return clock;
+  };
+
+  // Otro fichaje del usuario que se solape con el intervalo indicado (clockOut null = sigue abierto).
+  // Una persona no puede tener dos fichajes a la vez, ni siquiera en tiendas distintas
+  TimeClock.findConflicting = async function(userId, clockIn, clockOut, excludeId = null, options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {
+      user_id: userId,
+      [Op.or]: [
+        { clock_out_time: null },
+        { clock_out_time: { [Op.gt]: clockIn } }
+      ]
+    };
+    if (clockOut) {
+      where.clock_in_time = { [Op.lt]: clockOut };
+    }
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    return await this.findOne({ where, ...options });
+  };
+
+  // Fichajes que se solapan con un rango de días locales, incluidos los que empezaron
+  // el día anterior y los que siguen abiertos
+  TimeClock.findOverlapping = async function(where, startDay, endDay, timeZone) {
+    const { Op } = sequelize.Sequelize;
     return await this.findAll({
       where: {
-        user_id: userId,
-        date: today
+        ...where,
+        clock_in_time: { [Op.lte]: endOfLocalDay(endDay, timeZone) },
+        [Op.or]: [
+          { clock_out_time: null },
+          { clock_out_time: { [Op.gte]: startOfLocalDay(startDay, timeZone) } }
+        ]
       },
       order: [['clock_in_time', 'ASC']]
     });
   };
 
-  // NUEVO: Calcular horas totales del día (suma de todos los períodos)
-  TimeClock.getTotalHoursToday = async function(userId, date = new Date()) {
-    const clocks = await this.getAllTodaysClocks(userId, date);
-    let totalHours = 0;
-    
-    for (const clock of clocks) {
-      if (clock.clock_out_time) {
-        // Períodos cerrados: usar las horas calculadas
-        totalHours += parseFloat(clock.total_hours) || 0;
-      } else {
-        // Período activo: calcular horas transcurridas hasta ahora
-        const now = new Date();
-        const diffMs = now - new Date(clock.clock_in_time);
-        const diffHours = diffMs / (1000 * 60 * 60);
-        const breakHours = (clock.break_time_minutes || 0) / 60;
-        const activeHours = Math.max(0, diffHours - breakHours);
-        totalHours += activeHours;
-      }
-    }
+  // NUEVO: Obtener todos los fichajes del día (también el turno nocturno que empezó ayer)
+  TimeClock.getAllTodaysClocks = async function(userId, timeZone, date = new Date()) {
+    const today = toLocalDate(date, timeZone);
+    return await this.findOverlapping({ user_id: userId }, today, today, timeZone);
+  };
+
+  // NUEVO: Calcular horas totales del día (suma de la parte de cada período que cae hoy;
+  // los períodos activos cuentan hasta ahora)
+  TimeClock.getTotalHoursToday = async function(userId, timeZone, date = new Date()) {
+    const today = toLocalDate(date, timeZone);
+    const clocks = await this.getAllTodaysClocks(userId, timeZone, date);
+    const totalHours = clocks.reduce(
+      (total, clock) => total + (clock.getHoursByDay(timeZone)[today] || 0), 0
+    );
     
     return Math.round(totalHours * 10) / 10; // Redondear a 1 decimal
   };
 
+  // Horas de fichajes cerrados por usuario y día local en un rango: { userId: { 'YYYY-MM-DD': horas } }.
+  // Un turno que pasa la medianoche reparte sus horas entre los dos días
+  TimeClock.getDailyHours = async function(where, startDay, endDay, timeZone) {
+    const { Op } = sequelize.Sequelize;
+    const clocks = await this.findOverlapping(
+      { ...where, clock_out_time: { [Op.not]: null } }, startDay, endDay, timeZone
+    );
+
+    return clocks.reduce((hoursByUser, clock) => {
+      const userHours = hoursByUser[clock.user_id] || (hoursByUser[clock.user_id] = {});
+      Object.entries(clock.getHoursByDay(timeZone))
+        .filter(([day]) => day >= startDay && day <= endDay)
+        .forEach(([day, hours]) => {
+          userHours[day] = (userHours[day] || 0) + hours;
+        });
+      return hoursByUser;
+    }, {});
+  };
+
   TimeClock.getActiveClocks = async function() {
     return await this.findAll({
       where: {
@@ -222,11 +565,40 @@ module.exports = (sequelize, DataTypes) => {
 
   // Asociaciones
   TimeClock.associate = function(models) {
+    // Un fichaje pertenece a la tienda donde se fichó la entrada
+    TimeClock.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
     // Un fichaje pertenece a un usuario
     TimeClock.belongsTo(models.User, {
       foreignKey: 'user_id',
       as: 'user'
     });
+
+    // Responsable que revisó el fichaje (p. ej. tras un cierre automático)
+    TimeClock.belongsTo(models.User, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+
+    // Pausas del fichaje
+    TimeClock.hasMany(models.TimeClockBreak, {
+      foreignKey: 'time_clock_id',
+      as: 'breaks'
+    });
+
+    // Solicitudes de corrección del trabajador y modificaciones registradas
+    TimeClock.hasMany(models.TimeClockCorrection, {
+      foreignKey: 'time_clock_id',
+      as: 'corrections'
+    });
+
+    TimeClock.hasMany(models.TimeClockRevision, {
+      foreignKey: 'time_clock_id',
+      as: 'revisions'
+    });
   };
 
   return TimeClock;
@@ -0,0 +1,107 @@
+const BREAK_TYPES = ['paid', 'unpaid'];
+
+// Pausa dentro de un fichaje. Las retribuidas cuentan como tiempo trabajado; las no retribuidas se
+// descuentan de las horas del fichaje (break_time_minutes)
+module.exports = (sequelize, DataTypes) => {
+  const TimeClockBreak = sequelize.define('TimeClockBreak', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    time_clock_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'time_clocks',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...BREAK_TYPES),
+      allowNull: false,
+      defaultValue: 'unpaid',
+      validate: {
+        isIn: {
+          args: [BREAK_TYPES],
+          msg: 'El tipo de pausa debe ser paid (retribuida) o unpaid (no retribuida)'
+        }
+      }
+    },
+    start_time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null mientras la pausa sigue en curso',
+      validate: {
+        isAfterStart(value) {
+          if (value && this.start_time && value < this.start_time) {
+            throw new Error('El fin de la pausa no puede ser anterior a su inicio');
+          }
+        }
+      }
+    }
+  }, {
+    tableName: 'time_clock_breaks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['time_clock_id', 'start_time']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  TimeClockBreak.prototype.isActive = function() {
+    return !this.end_time;
+  };
+
+  // Duración en minutos; una pausa en curso cuenta hasta "until"
+  TimeClockBreak.prototype.getMinutes = function(until = new Date()) {
+    const end = this.end_time || until;
+    return Math.max(0, (new Date(end) - new Date(this.start_time)) / (1000 * 60));
+  };
+
+  // Métodos estáticos
+  // Comprobar pausas propuestas para un fichaje (corrección o gestión manual): cada una dentro del
+  // fichaje (hasta "until" si sigue abierto) y sin solaparse. Devuelve el error o null si son válidas
+  TimeClockBreak.findIntervalError = function(breaks, clockIn, clockOut, until = new Date()) {
+    const end = clockOut || until;
+    const sorted = [...breaks].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    let previousEnd = null;
+
+    for (const pause of sorted) {
+      const start = new Date(pause.start_time);
+      const breakEnd = pause.end_time ? new Date(pause.end_time) : new Date(end);
+      if (breakEnd < start) {
+        return 'El fin de una pausa no puede ser anterior a su inicio';
+      }
+      if (start < new Date(clockIn) || breakEnd > new Date(end)) {
+        return 'Las pausas deben quedar dentro del horario del fichaje';
+      }
+      if (previousEnd && start < previousEnd) {
+        return 'Las pausas no pueden solaparse';
+      }
+      previousEnd = breakEnd;
+    }
+
+    return null;
+  };
+
+  TimeClockBreak.TYPES = BREAK_TYPES;
+
+  // Asociaciones
+  TimeClockBreak.associate = function(models) {
+    TimeClockBreak.belongsTo(models.TimeClock, {
+      foreignKey: 'time_clock_id',
+      as: 'timeClock'
+    });
+  };
+
+  return TimeClockBreak;
+};
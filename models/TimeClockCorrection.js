@@ -0,0 +1,179 @@
+const CORRECTION_STATUSES = ['pendiente', 'aprobada', 'rechazada'];
+
+// Campos del fichaje que se pueden corregir (un valor null en la solicitud deja el actual).
+// El descanso no se corrige directamente: se recalcula a partir de las pausas
+const CORRECTABLE_FIELDS = ['clock_in_time', 'clock_out_time', 'breaks'];
+
+module.exports = (sequelize, DataTypes) => {
+  const TimeClockCorrection = sequelize.define('TimeClockCorrection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    time_clock_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'time_clocks',
+        key: 'id'
+      }
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Trabajador que solicita la corrección (titular del fichaje)'
+    },
+    clock_in_time: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hora de entrada propuesta'
+    },
+    clock_out_time: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hora de salida propuesta'
+    },
+    breaks: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Pausas propuestas ([{ type, start_time, end_time }]); sustituyen a las del fichaje'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        len: {
+          args: [3, 500],
+          msg: 'El motivo debe tener entre 3 y 500 caracteres'
+        }
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...CORRECTION_STATUSES),
+      allowNull: false,
+      defaultValue: 'pendiente',
+      validate: {
+        isIn: {
+          args: [CORRECTION_STATUSES],
+          msg: 'El estado debe ser pendiente, aprobada o rechazada'
+        }
+      }
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Comentario del responsable, p. ej. el motivo del rechazo'
+    }
+  }, {
+    tableName: 'time_clock_corrections',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['store_id', 'status']
+      },
+      {
+        fields: ['time_clock_id']
+      },
+      {
+        fields: ['requested_by']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  TimeClockCorrection.prototype.isPending = function() {
+    return this.status === 'pendiente';
+  };
+
+  // Valores que tendría el fichaje al aprobar la solicitud (solo los campos propuestos)
+  TimeClockCorrection.prototype.getProposedValues = function() {
+    const values = CORRECTABLE_FIELDS.reduce((proposed, field) => {
+      if (this[field] !== null && this[field] !== undefined) {
+        proposed[field] = this[field];
+      }
+      return proposed;
+    }, {});
+
+    // Las pausas se guardan como JSON: las horas vuelven como texto
+    if (values.breaks) {
+      values.breaks = values.breaks.map(pause => ({
+        type: pause.type,
+        start_time: new Date(pause.start_time),
+        end_time: new Date(pause.end_time)
+      }));
+    }
+    return values;
+  };
+
+  TimeClockCorrection.prototype.resolve = async function(status, reviewerId, notes = null, options = {}) {
+    this.status = status;
+    this.reviewed_by = reviewerId;
+    this.reviewed_at = new Date();
+    this.review_notes = notes;
+    return await this.save(options);
+  };
+
+  // Métodos estáticos
+  TimeClockCorrection.hasPending = async function(timeClockId, options = {}) {
+    const count = await this.count({
+      where: { time_clock_id: timeClockId, status: 'pendiente' },
+      ...options
+    });
+    return count > 0;
+  };
+
+  TimeClockCorrection.STATUSES = CORRECTION_STATUSES;
+  TimeClockCorrection.CORRECTABLE_FIELDS = CORRECTABLE_FIELDS;
+
+  // Asociaciones
+  TimeClockCorrection.associate = function(models) {
+    TimeClockCorrection.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    TimeClockCorrection.belongsTo(models.TimeClock, {
+      foreignKey: 'time_clock_id',
+      as: 'timeClock'
+    });
+
+    TimeClockCorrection.belongsTo(models.User, {
+      foreignKey: 'requested_by',
+      as: 'requester'
+    });
+
+    TimeClockCorrection.belongsTo(models.User, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+  };
+
+  return TimeClockCorrection;
+};
@@ -0,0 +1,122 @@
+const REVISION_ACTIONS = ['create', 'update', 'delete'];
+
+const IMMUTABLE_MESSAGE = 'El historial de fichajes no se puede modificar ni eliminar';
+
+// Valores de un fichaje antes y después de cada alta, modificación o baja. Forman parte del registro
+// de jornada, así que solo se añaden filas: los hooks impiden editarlas o borrarlas
+module.exports = (sequelize, DataTypes) => {
+  const TimeClockRevision = sequelize.define('TimeClockRevision', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    time_clock_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'time_clocks',
+        key: 'id'
+      }
+    },
+    correction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'time_clock_corrections',
+        key: 'id'
+      },
+      comment: 'Solicitud de corrección aprobada que originó el cambio'
+    },
+    action: {
+      type: DataTypes.ENUM(...REVISION_ACTIONS),
+      allowNull: false,
+      defaultValue: 'update',
+      validate: {
+        isIn: {
+          args: [REVISION_ACTIONS],
+          msg: 'La acción debe ser create, update o delete'
+        }
+      }
+    },
+    changed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    previous_values: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Entrada, salida, pausas, descanso, horas y día antes del cambio (null al crear)'
+    },
+    new_values: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Entrada, salida, pausas, descanso, horas y día después del cambio (null al eliminar)'
+    }
+  }, {
+    tableName: 'time_clock_revisions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['time_clock_id', 'created_at']
+      }
+    ],
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error(IMMUTABLE_MESSAGE);
+      },
+      beforeDestroy: () => {
+        throw new Error(IMMUTABLE_MESSAGE);
+      },
+      beforeBulkDestroy: () => {
+        throw new Error(IMMUTABLE_MESSAGE);
+      },
+      // Única excepción: la anonimización (RGPD) sustituye el texto libre del motivo
+      beforeBulkUpdate: (options) => {
+        if (!options.anonymization || !options.fields.every(field => field === 'reason')) {
+          throw new Error(IMMUTABLE_MESSAGE);
+        }
+      }
+    }
+  });
+
+  TimeClockRevision.ACTIONS = REVISION_ACTIONS;
+
+  // Asociaciones
+  TimeClockRevision.associate = function(models) {
+    TimeClockRevision.belongsTo(models.TimeClock, {
+      foreignKey: 'time_clock_id',
+      as: 'timeClock'
+    });
+
+    TimeClockRevision.belongsTo(models.TimeClockCorrection, {
+      foreignKey: 'correction_id',
+      as: 'correction'
+    });
+
+    TimeClockRevision.belongsTo(models.User, {
+      foreignKey: 'changed_by',
+      as: 'author'
+    });
+  };
+
+  return TimeClockRevision;
+};
@@ -1,3 +1,5 @@
+const { toLocalDate } = require('../utils/dates');
+
 module.exports = (sequelize, DataTypes) => {
   const TimeEntry = sequelize.define('TimeEntry', {
     id: {
@@ -5,6 +7,14 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
     user_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -117,19 +127,23 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['start_time']
+      },
+      {
+        fields: ['store_id', 'date']
       }
     ],
     hooks: {
-      beforeSave: (timeEntry) => {
+      beforeSave: async (timeEntry, options) => {
         // Calcular duración automáticamente si hay inicio y fin
         if (timeEntry.start_time && timeEntry.end_time) {
           const diffMs = timeEntry.end_time - timeEntry.start_time;
           timeEntry.duration_minutes = Math.floor(diffMs / (1000 * 60));
         }
         
-        // Asegurar que la fecha coincida con la fecha de inicio
-        if (timeEntry.start_time) {
-          timeEntry.date = timeEntry.start_time.toISOString().split('T')[0];
+        // Asegurar que la fecha coincida con el día local de inicio en la zona horaria de la tienda
+        if (timeEntry.start_time && (timeEntry.changed('start_time') || timeEntry.changed('store_id'))) {
+          const timeZone = await sequelize.models.Store.getTimeZone(timeEntry.store_id, { transaction: options.transaction });
+          timeEntry.date = toLocalDate(timeEntry.start_time, timeZone);
         }
         
         // Si no hay task_id, es tiempo libre
@@ -182,7 +196,7 @@ module.exports = (sequelize, DataTypes) => {
     return `${hours}h ${minutes}m`;
   };
 
-  // Métodos estáticos
+  // Métodos estáticos ("hoy" es el día local en la zona horaria indicada, la de la tienda)
   TimeEntry.getActiveEntry = async function(userId) {
     return await this.findOne({
       where: {
@@ -197,8 +211,8 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  TimeEntry.getTodaysEntries = async function(userId, date = new Date()) {
-    const today = date.toISOString().split('T')[0];
+  TimeEntry.getTodaysEntries = async function(userId, timeZone, date = new Date()) {
+    const today = toLocalDate(date, timeZone);
     return await this.findAll({
       where: {
         user_id: userId,
@@ -232,6 +246,12 @@ module.exports = (sequelize, DataTypes) => {
 
   // Asociaciones
   TimeEntry.associate = function(models) {
+    // Un registro de tiempo pertenece a una tienda
+    TimeEntry.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
     // Un registro de tiempo pertenece a un usuario
     TimeEntry.belongsTo(models.User, {
       foreignKey: 'user_id',
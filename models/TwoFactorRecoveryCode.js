@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { hashToken } = require('../utils/tokens');
+
+// Los códigos se muestran como "xxxx-xxxx" pero se comparan sin guion ni mayúsculas
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+module.exports = (sequelize, DataTypes) => {
+  const TwoFactorRecoveryCode = sequelize.define('TwoFactorRecoveryCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'two_factor_recovery_codes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Métodos estáticos
+  // Sustituir los códigos de un usuario por otros nuevos. Devuelve los códigos en claro
+  TwoFactorRecoveryCode.regenerate = async function(userId, count, options = {}) {
+    await this.destroy({ where: { user_id: userId }, ...options });
+
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    await this.bulkCreate(codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeCode(code))
+    })), options);
+
+    return codes;
+  };
+
+  // Consumir un código de recuperación. Devuelve true si era válido y no se había usado
+  TwoFactorRecoveryCode.consume = async function(userId, code) {
+    const [usedCount] = await this.update(
+      { used_at: new Date() },
+      { where: { user_id: userId, code_hash: hashToken(normalizeCode(code)), used_at: null } }
+    );
+    return usedCount > 0;
+  };
+
+  TwoFactorRecoveryCode.countRemaining = async function(userId) {
+    return await this.count({ where: { user_id: userId, used_at: null } });
+  };
+
+  // Asociaciones
+  TwoFactorRecoveryCode.associate = function(models) {
+    TwoFactorRecoveryCode.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return TwoFactorRecoveryCode;
+};
@@ -1,4 +1,22 @@
 const bcrypt = require('bcryptjs');
+const { encrypt, decrypt } = require('../utils/encryption');
+const totp = require('../utils/totp');
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const securityConfig = require('../config/security');
+const { SUPPORTED_LOCALES, NOTIFICATION_CHANNELS, DEFAULT_PREFERENCES } = require('../config/preferences');
+const { isValidTimeZone } = require('../utils/dates');
+const { SUPERUSER_ROLE } = require('../config/permissions');
+const { normalizeId, isValidNifOrNie, isValidSocialSecurityNumber } = require('../utils/spanishIds');
+
+// Modalidades de contrato
+const CONTRACT_TYPES = ['indefinido', 'temporal', 'fijo_discontinuo', 'formacion', 'practicas'];
+
+// Número de contraseñas anteriores guardadas además de la actual
+const PASSWORD_HISTORY_KEEP = Math.max(securityConfig.passwordPolicy.historySize - 1, 0);
+
+// Bloqueo temporal de la cuenta tras varios intentos de login fallidos
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCK_DURATION_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
 
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define('User', {
@@ -48,13 +66,13 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     role: {
-      type: DataTypes.ENUM('jefe', 'trabajador'),
+      type: DataTypes.ENUM('jefe', 'encargado', 'trabajador'),
       allowNull: false,
       defaultValue: 'trabajador',
       validate: {
         isIn: {
-          args: [['jefe', 'trabajador']],
-          msg: 'El rol debe ser jefe o trabajador'
+          args: [['jefe', 'encargado', 'trabajador']],
+          msg: 'El rol debe ser jefe, encargado o trabajador'
         }
       }
     },
@@ -75,12 +93,197 @@ module.exports = (sequelize, DataTypes) => {
     last_login: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    token_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Se incrementa para invalidar todos los access tokens emitidos'
+    },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Cuenta bloqueada temporalmente por intentos de login fallidos'
+    },
+    two_factor_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    two_factor_secret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Secreto TOTP cifrado (AES-256-GCM)'
+    },
+    two_factor_last_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Último paso TOTP aceptado, para impedir reutilizar un código'
+    },
+    must_change_password: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Obliga a cambiar la contraseña antes de usar la API'
+    },
+    kiosk_pin_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'PIN personal (bcrypt) para fichar en el terminal compartido'
+    },
+    badge_code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      comment: 'Hash SHA-256 del código de tarjeta/QR para fichar en el terminal compartido'
+    },
+    // Datos laborales
+    contract_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      validate: {
+        isIn: {
+          args: [CONTRACT_TYPES],
+          msg: 'Tipo de contrato inválido'
+        }
+      }
+    },
+    weekly_contract_hours: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: true,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Las horas semanales no pueden ser negativas'
+        },
+        max: {
+          args: [40],
+          msg: 'La jornada semanal no puede superar las 40 horas'
+        }
+      }
+    },
+    work_days: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: true,
+      comment: 'Días laborables (1 = lunes ... 7 = domingo)',
+      validate: {
+        isWeekdays(value) {
+          if (value && !value.every(day => Number.isInteger(day) && day >= 1 && day <= 7)) {
+            throw new Error('Los días laborables deben estar entre 1 (lunes) y 7 (domingo)');
+          }
+        }
+      }
+    },
+    hire_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    termination_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // Datos personales sensibles (solo visibles para el propio usuario y con users.sensitive)
+    tax_id: {
+      type: DataTypes.STRING(9),
+      allowNull: true,
+      unique: {
+        name: 'users_tax_id',
+        msg: 'Este NIF/NIE ya está registrado'
+      },
+      comment: 'NIF o NIE',
+      set(value) {
+        this.setDataValue('tax_id', value ? normalizeId(value) : null);
+      },
+      validate: {
+        isNifOrNie(value) {
+          if (value && !isValidNifOrNie(value)) {
+            throw new Error('El NIF/NIE no es válido');
+          }
+        }
+      }
+    },
+    social_security_number: {
+      type: DataTypes.STRING(12),
+      allowNull: true,
+      comment: 'Número de afiliación a la Seguridad Social',
+      set(value) {
+        this.setDataValue('social_security_number', value ? normalizeId(value).replace(/\//g, '') : null);
+      },
+      validate: {
+        isSocialSecurityNumber(value) {
+          if (value && !isValidSocialSecurityNumber(value)) {
+            throw new Error('El número de la Seguridad Social no es válido');
+          }
+        }
+      }
+    },
+    emergency_contact_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    emergency_contact_phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    anonymized_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Datos personales borrados (derecho de supresión); se conservan fichajes y registros de tiempo'
+    },
+    preferences: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Idioma, zona horaria, primer día de la semana y canales de aviso',
+      // Siempre se devuelven completas: lo no configurado toma el valor por defecto
+      get() {
+        const stored = this.getDataValue('preferences') || {};
+        return {
+          ...DEFAULT_PREFERENCES,
+          ...stored,
+          notifications: { ...DEFAULT_PREFERENCES.notifications, ...stored.notifications }
+        };
+      },
+      validate: {
+        isValidPreferences(value) {
+          if (value.locale !== undefined && !SUPPORTED_LOCALES.includes(value.locale)) {
+            throw new Error(`El idioma debe ser uno de: ${SUPPORTED_LOCALES.join(', ')}`);
+          }
+          if (value.timezone !== undefined && !isValidTimeZone(value.timezone)) {
+            throw new Error('La zona horaria debe ser una zona IANA válida (p. ej. Europe/Madrid)');
+          }
+          if (value.week_start !== undefined && ![1, 2, 3, 4, 5, 6, 7].includes(value.week_start)) {
+            throw new Error('El primer día de la semana debe estar entre 1 (lunes) y 7 (domingo)');
+          }
+          Object.entries(value.notifications || {}).forEach(([channel, enabled]) => {
+            if (!NOTIFICATION_CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+              throw new Error(`Los avisos deben indicar true o false para: ${NOTIFICATION_CHANNELS.join(', ')}`);
+            }
+          });
+        }
+      }
     }
   }, {
     tableName: 'users',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    validate: {
+      terminationAfterHire() {
+        if (this.hire_date && this.termination_date && this.termination_date < this.hire_date) {
+          throw new Error('La fecha de baja no puede ser anterior a la fecha de alta');
+        }
+      }
+    },
     hooks: {
       beforeCreate: async (user) => {
         if (user.password_hash) {
@@ -88,8 +291,19 @@ module.exports = (sequelize, DataTypes) => {
           user.password_hash = await bcrypt.hash(user.password_hash, salt);
         }
       },
-      beforeUpdate: async (user) => {
+      beforeUpdate: async (user, options) => {
         if (user.changed('password_hash')) {
+          // Guardar el hash anterior para impedir reutilizarlo
+          const previousHash = user.previous('password_hash');
+          if (previousHash && PASSWORD_HISTORY_KEEP > 0) {
+            await sequelize.models.PasswordHistory.record(
+              user.id,
+              previousHash,
+              PASSWORD_HISTORY_KEEP,
+              { transaction: options.transaction }
+            );
+          }
+
           const salt = await bcrypt.genSalt(12);
           user.password_hash = await bcrypt.hash(user.password_hash, salt);
         }
@@ -102,13 +316,195 @@ module.exports = (sequelize, DataTypes) => {
     return await bcrypt.compare(password, this.password_hash);
   };
 
-  User.prototype.toSafeObject = function() {
-    const { password_hash, ...safeUser } = this.toJSON();
+  // Comprobar si la contraseña coincide con la actual o con alguna de las últimas del historial
+  User.prototype.isPasswordReused = async function(password) {
+    if (await this.validatePassword(password)) {
+      return true;
+    }
+
+    if (PASSWORD_HISTORY_KEEP === 0) {
+      return false;
+    }
+
+    const previousHashes = await sequelize.models.PasswordHistory.getRecentHashes(this.id, PASSWORD_HISTORY_KEEP);
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  User.prototype.toSafeObject = function({ includeSensitive = false } = {}) {
+    const safeUser = this.toJSON();
+    User.PRIVATE_ATTRIBUTES.forEach(attribute => delete safeUser[attribute]);
+    if (!includeSensitive) {
+      User.SENSITIVE_ATTRIBUTES.forEach(attribute => delete safeUser[attribute]);
+    }
     return safeUser;
   };
 
+  // Guardar un secreto TOTP nuevo (pendiente de confirmar hasta que se active)
+  User.prototype.setTwoFactorSecret = function(secret) {
+    this.two_factor_secret = encrypt(secret);
+    this.two_factor_last_step = null;
+  };
+
+  User.prototype.getTwoFactorSecret = function() {
+    return this.two_factor_secret ? decrypt(this.two_factor_secret) : null;
+  };
+
+  // Verificar un código TOTP sin permitir reutilizar el mismo código
+  User.prototype.verifyTwoFactorCode = async function(code) {
+    const secret = this.getTwoFactorSecret();
+    if (!secret) return false;
+
+    const step = totp.verifyCode(secret, code);
+    if (step === null || (this.two_factor_last_step !== null && step <= Number(this.two_factor_last_step))) {
+      return false;
+    }
+
+    this.two_factor_last_step = step;
+    await this.save({ fields: ['two_factor_last_step'] });
+    return true;
+  };
+
+  // PIN del terminal de fichaje (kiosko)
+  User.prototype.setKioskPin = async function(pin) {
+    const salt = await bcrypt.genSalt(10);
+    this.kiosk_pin_hash = await bcrypt.hash(String(pin), salt);
+  };
+
+  User.prototype.validateKioskPin = async function(pin) {
+    if (!this.kiosk_pin_hash) return false;
+    return await bcrypt.compare(String(pin), this.kiosk_pin_hash);
+  };
+
+  // Generar un código de tarjeta/QR nuevo (invalida el anterior). Devuelve el código en claro
+  User.prototype.regenerateBadgeCode = function() {
+    const badgeCode = generateSecureToken(12);
+    this.badge_code_hash = hashToken(badgeCode);
+    return badgeCode;
+  };
+
+  // Permisos del rol del usuario (ver config/permissions.js)
+  User.prototype.getPermissions = async function() {
+    return await sequelize.models.RolePermission.getPermissions(this.role);
+  };
+
+  User.prototype.hasPermission = async function(permission) {
+    const permissions = await this.getPermissions();
+    return permissions.includes(permission);
+  };
+
+  // El jefe tiene todos los permisos: solo otro jefe puede conceder ese rol o modificar la cuenta
+  // de un jefe (con su email se podría restablecer su contraseña), aunque tenga roles.manage o users.manage
+  User.prototype.canAssignRole = function(role) {
+    return role !== SUPERUSER_ROLE || this.role === SUPERUSER_ROLE;
+  };
+
+  User.prototype.canManageAccountOf = function(user) {
+    return user.role !== SUPERUSER_ROLE || this.role === SUPERUSER_ROLE;
+  };
+
+  // La política puede exigir 2FA a ciertos roles (TWO_FACTOR_REQUIRED_ROLES)
+  User.prototype.requiresTwoFactorSetup = function() {
+    return !this.two_factor_enabled && securityConfig.twoFactor.requiredRoles.includes(this.role);
+  };
+
+  User.prototype.isLocked = function() {
+    return !!this.locked_until && new Date(this.locked_until) > new Date();
+  };
+
+  // Contar un intento de login fallido y bloquear la cuenta al llegar al máximo
+  User.prototype.registerFailedLogin = async function() {
+    // Si el bloqueo anterior ya expiró, empezar a contar de nuevo
+    if (this.locked_until && !this.isLocked()) {
+      this.failed_login_attempts = 0;
+      this.locked_until = null;
+    }
+
+    this.failed_login_attempts += 1;
+    if (this.failed_login_attempts >= MAX_FAILED_LOGIN_ATTEMPTS) {
+      this.locked_until = new Date(Date.now() + LOCK_DURATION_MINUTES * 60 * 1000);
+    }
+
+    await this.save({ fields: ['failed_login_attempts', 'locked_until'] });
+  };
+
+  User.prototype.unlock = async function() {
+    this.failed_login_attempts = 0;
+    this.locked_until = null;
+    await this.save({ fields: ['failed_login_attempts', 'locked_until'] });
+  };
+
+  // Cerrar todas las sesiones: invalida los access tokens y revoca los refresh tokens
+  User.prototype.revokeAllSessions = async function(options = {}) {
+    await this.increment('token_version', options);
+    await this.reload({ attributes: ['token_version'], ...options });
+    await sequelize.models.UserSession.revokeAllForUser(this.id, options);
+  };
+
+  // Atributos que nunca se devuelven en las respuestas de la API
+  User.PRIVATE_ATTRIBUTES = [
+    'password_hash',
+    'token_version',
+    'two_factor_secret',
+    'two_factor_last_step',
+    'kiosk_pin_hash',
+    'badge_code_hash'
+  ];
+
+  // Datos personales que solo ven el propio usuario y quien tenga users.sensitive
+  User.SENSITIVE_ATTRIBUTES = [
+    'tax_id',
+    'social_security_number',
+    'emergency_contact_name',
+    'emergency_contact_phone'
+  ];
+
+  User.CONTRACT_TYPES = CONTRACT_TYPES;
+
+  // Buscar un usuario solo si pertenece a la tienda indicada
+  User.findInStore = async function(id, storeId, options = {}) {
+    const isMember = await sequelize.models.StoreMembership.isMember(id, storeId);
+    return isMember ? await this.findByPk(id, options) : null;
+  };
+
+  // Condición where para limitar una consulta de usuarios a los miembros de una tienda
+  User.storeFilter = function(storeId) {
+    const { Op } = sequelize.Sequelize;
+    return {
+      id: {
+        [Op.in]: sequelize.literal(`(SELECT user_id FROM store_memberships WHERE store_id = ${parseInt(storeId, 10)})`)
+      }
+    };
+  };
+
+  User.findByBadgeCode = async function(badgeCode) {
+    return await this.findOne({
+      where: { badge_code_hash: hashToken(badgeCode) }
+    });
+  };
+
   // Asociaciones
   User.associate = function(models) {
+    // Un usuario pertenece a una o varias tiendas (p. ej. el jefe de varias ferreterías)
+    User.belongsToMany(models.Store, {
+      through: models.StoreMembership,
+      foreignKey: 'user_id',
+      otherKey: 'store_id',
+      as: 'stores'
+    });
+
+    // Equipos o departamentos (mostrador, almacén, reparto...)
+    User.belongsToMany(models.Team, {
+      through: models.TeamMembership,
+      foreignKey: 'user_id',
+      otherKey: 'team_id',
+      as: 'teams'
+    });
+
     // Un usuario puede tener muchas tareas asignadas
     User.hasMany(models.Task, {
       foreignKey: 'assigned_to',
@@ -132,6 +528,36 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'user_id',
       as: 'timeEntries'
     });
+
+    // Un usuario puede tener muchas sesiones abiertas (una por login)
+    User.hasMany(models.UserSession, {
+      foreignKey: 'user_id',
+      as: 'sessions'
+    });
+
+    // Contraseñas anteriores (hasheadas) para la política de no reutilización
+    User.hasMany(models.PasswordHistory, {
+      foreignKey: 'user_id',
+      as: 'passwordHistory'
+    });
+
+    // Historial de eventos de seguridad (logins, cambios de contraseña, de rol...)
+    User.hasMany(models.SecurityEvent, {
+      foreignKey: 'user_id',
+      as: 'securityEvents'
+    });
+
+    // Códigos de recuperación de la verificación en dos pasos
+    User.hasMany(models.TwoFactorRecoveryCode, {
+      foreignKey: 'user_id',
+      as: 'recoveryCodes'
+    });
+
+    // Un usuario puede tener muchos refresh tokens (uno por sesión y rotación)
+    User.hasMany(models.RefreshToken, {
+      foreignKey: 'user_id',
+      as: 'refreshTokens'
+    });
   };
 
   return User;
@@ -0,0 +1,169 @@
+// Cada cuánto se actualiza last_used_at como máximo (evita una escritura por petición)
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'Coincide con la familia de los refresh tokens de la sesión'
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      comment: 'Tienda activa de la sesión (se cambia con /api/auth/switch-store)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    device_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Caducidad del refresh token vigente de la sesión'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Métodos de instancia
+  UserSession.prototype.isActive = function() {
+    return !this.revoked_at && new Date(this.expires_at) > new Date();
+  };
+
+  // Revocar la sesión y todos sus refresh tokens
+  UserSession.prototype.revoke = async function(options = {}) {
+    if (!this.revoked_at) {
+      this.revoked_at = new Date();
+      await this.save(options);
+    }
+    await sequelize.models.RefreshToken.revokeFamily(this.id, options);
+  };
+
+  // Registrar el uso de la sesión (como mucho una vez por minuto)
+  UserSession.prototype.touch = async function() {
+    const lastUsed = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL_MS) {
+      return;
+    }
+    this.last_used_at = new Date();
+    await this.save({ fields: ['last_used_at'] });
+  };
+
+  UserSession.prototype.toPublicObject = function(currentSessionId = null) {
+    return {
+      id: this.id,
+      device_name: this.device_name,
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      store_id: this.store_id,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at,
+      expires_at: this.expires_at,
+      is_current: this.id === currentSessionId
+    };
+  };
+
+  // Métodos estáticos
+  // Registrar una sesión nueva en una tienda a partir de la petición de login
+  UserSession.start = async function(userId, storeId, req, options = {}) {
+    const userAgent = req.get('user-agent');
+
+    return await this.create({
+      user_id: userId,
+      store_id: storeId,
+      device_name: req.body && req.body.device_name ? String(req.body.device_name).slice(0, 100) : null,
+      user_agent: userAgent ? userAgent.slice(0, 500) : null,
+      ip_address: req.ip,
+      last_used_at: new Date(),
+      expires_at: sequelize.models.RefreshToken.getExpiryDate()
+    }, options);
+  };
+
+  UserSession.getActiveSessions = async function(userId) {
+    return await this.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [sequelize.Sequelize.Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+  };
+
+  UserSession.revokeAllForUser = async function(userId, options = {}) {
+    await this.update(
+      { revoked_at: new Date() },
+      { where: { user_id: userId, revoked_at: null }, ...options }
+    );
+    await sequelize.models.RefreshToken.revokeAllForUser(userId, options);
+  };
+
+  // Revocar las sesiones abiertas en una tienda (de un usuario o de todos)
+  UserSession.revokeForStore = async function(storeId, userId = null, options = {}) {
+    const where = { store_id: storeId, revoked_at: null };
+    if (userId) where.user_id = userId;
+
+    const sessions = await this.findAll({ where, ...options });
+    for (const session of sessions) {
+      await session.revoke(options);
+    }
+  };
+
+  // Asociaciones
+  UserSession.associate = function(models) {
+    UserSession.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    UserSession.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    UserSession.hasMany(models.RefreshToken, {
+      foreignKey: 'family',
+      as: 'refreshTokens'
+    });
+  };
+
+  return UserSession;
+};
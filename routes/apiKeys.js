@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ApiKey, SecurityEvent } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const apiKeyConfig = require('../config/apiKeys');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación (las API keys no pueden gestionar API keys)
+router.use(authenticateToken);
+
+// @route   GET /api/api-keys
+// @desc    Listar las API keys del usuario actual (sin el valor de la key)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { user_id: req.user.id },
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      api_keys: apiKeys.map(apiKey => apiKey.toSafeObject()),
+      available_scopes: apiKeyConfig.API_KEY_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Crear una API key para la tienda activa (la key solo se muestra en esta respuesta)
+// @access  Private
+router.post('/', [
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre de la API key debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos un scope'),
+  body('scopes.*')
+    .isIn(apiKeyConfig.API_KEY_SCOPES)
+    .withMessage('Scope desconocido'),
+  body('expires_in_days')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('expires_in_days debe estar entre 1 y 3650')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const activeKeys = await ApiKey.countActiveForUser(req.user.id);
+    if (activeKeys >= apiKeyConfig.maxKeysPerUser) {
+      return res.status(400).json({
+        error: `No puedes tener más de ${apiKeyConfig.maxKeysPerUser} API keys activas. Revoca alguna antes de crear otra`
+      });
+    }
+
+    const { name, scopes, expires_in_days } = req.body;
+    const { apiKey, key } = await ApiKey.issue({
+      userId: req.user.id,
+      storeId: req.auth.storeId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays: expires_in_days ? parseInt(expires_in_days, 10) : null
+    });
+
+    await SecurityEvent.record('api_key_created', req, {
+      userId: req.user.id,
+      details: { api_key_id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    // La key solo se devuelve en esta respuesta
+    res.status(201).json({
+      message: 'API key creada exitosamente. Guárdala ahora: no se volverá a mostrar',
+      api_key: apiKey.toSafeObject(),
+      key
+    });
+
+  } catch (error) {
+    console.error('Error creando API key:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revocar una API key del usuario actual
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!apiKey || apiKey.revoked_at) {
+      return res.status(404).json({
+        error: 'API key no encontrada'
+      });
+    }
+
+    await apiKey.update({ revoked_at: new Date() });
+
+    await SecurityEvent.record('api_key_revoked', req, {
+      userId: req.user.id,
+      details: { api_key_id: apiKey.id, name: apiKey.name }
+    });
+
+    res.json({
+      message: 'API key revocada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error revocando API key:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
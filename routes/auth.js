@@ -1,24 +1,156 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const { User, RefreshToken, UserSession, Invitation, PasswordResetToken, TwoFactorRecoveryCode, SecurityEvent, Store, StoreMembership, Impersonation, sequelize } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { loginThrottle, recordLoginFailure, recordLoginSuccess } = require('../middleware/loginThrottle');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const securityConfig = require('../config/security');
+const { passwordPolicyValidator } = require('../utils/passwordPolicy');
+const { SUPERUSER_ROLE } = require('../config/permissions');
+const { SUPPORTED_LOCALES, NOTIFICATION_CHANNELS } = require('../config/preferences');
+const { isValidTimeZone } = require('../utils/dates');
 
 const router = express.Router();
 
-// Generar JWT token
-const generateToken = (userId) => {
+// Límites de /forgot-password: por IP y por email normalizado (cada solicitud envía un correo)
+const passwordResetLimit = (keyGenerator, max) => rateLimit({
+  windowMs: securityConfig.passwordReset.windowMinutes * 60 * 1000,
+  max,
+  keyGenerator,
+  message: {
+    error: 'Demasiadas solicitudes de restablecimiento de contraseña. Intenta de nuevo más tarde',
+    code: 'TOO_MANY_PASSWORD_RESET_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const passwordResetIpLimiter = passwordResetLimit(
+  (req) => `ip:${req.ip}`,
+  securityConfig.passwordReset.maxPerIp
+);
+const passwordResetEmailLimiter = passwordResetLimit(
+  (req) => `email:${String(req.body.email || '').trim().toLowerCase()}`,
+  securityConfig.passwordReset.maxPerEmail
+);
+
+// Generar access token JWT de corta duración ligado a una sesión y a su tienda activa
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user.id, tv: user.token_version, sid: session.id, st: session.store_id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Registrar una sesión nueva en una tienda y emitir su par access token + refresh token
+const issueTokens = async (user, storeId, req) => {
+  const session = await UserSession.start(user.id, storeId, req);
+  const { token: refreshToken } = await RefreshToken.issue(user.id, session.id);
+
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Token "actuar como": identifica al usuario suplantado pero va firmado con la
+// sesión y la versión de token del usuario real. No tiene refresh token
+const generateImpersonationToken = (actor, session, impersonation) => {
+  return jwt.sign(
+    { userId: impersonation.user_id, tv: actor.token_version, sid: session.id, st: session.store_id, imp: impersonation.id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${securityConfig.impersonation.expiresInMinutes}m` }
+  );
+};
+
+// Token intermedio del login en dos pasos: acredita que la contraseña ya se verificó
+const generateTwoFactorChallenge = (user) => {
   return jwt.sign(
-    { userId },
+    { userId: user.id, tv: user.token_version, purpose: '2fa' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: securityConfig.twoFactor.challengeExpiresIn }
   );
 };
 
+// Último paso de un login correcto: registrar el acceso y emitir los tokens
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Abrir la sesión en la tienda solicitada o en la primera del usuario
+  const store = await StoreMembership.pickStore(user.id, req.body.store_id);
+  if (!store) {
+    return res.status(403).json({
+      error: 'No perteneces a ninguna tienda activa. Contacte al administrador',
+      code: 'NO_STORE_ACCESS'
+    });
+  }
+
+  // El identificador puede haber sido el username o el email
+  recordLoginSuccess(req, user.username);
+  recordLoginSuccess(req, user.email);
+
+  // Actualizar último login y reiniciar el contador de intentos fallidos
+  user.last_login = new Date();
+  user.failed_login_attempts = 0;
+  user.locked_until = null;
+  await user.save();
+
+  // Generar tokens
+  const { token, refreshToken } = await issueTokens(user, store.id, req);
+
+  await SecurityEvent.record('login_success', req, {
+    userId: user.id,
+    details: user.two_factor_enabled ? { two_factor: true } : null
+  });
+
+  // Respuesta exitosa
+  res.json({
+    message: 'Inicio de sesión exitoso',
+    token,
+    refreshToken,
+    user: user.toSafeObject(),
+    store: { id: store.id, name: store.name },
+    ...(user.must_change_password && { password_change_required: true }),
+    ...(user.requiresTwoFactorSetup() && { two_factor_setup_required: true }),
+    ...extra
+  });
+};
+
+// Registrar un intento de login fallido en el historial de seguridad
+const recordFailedLogin = (req, userId, reason, details = {}) => {
+  return SecurityEvent.record('login_failed', req, {
+    userId,
+    success: false,
+    details: { reason, ...details }
+  });
+};
+
+// Revocar la sesión a la que pertenece un refresh token
+const revokeSession = async (sessionId) => {
+  const session = await UserSession.findByPk(sessionId);
+  if (session) {
+    await session.revoke();
+  }
+};
+
+// El autorregistro público está desactivado salvo que se habilite por configuración
+const requirePublicRegistration = (req, res, next) => {
+  if (process.env.ALLOW_PUBLIC_REGISTRATION !== 'true') {
+    return res.status(403).json({
+      error: 'El registro público está desactivado. Solicita una invitación al jefe',
+      code: 'REGISTRATION_DISABLED'
+    });
+  }
+  next();
+};
+
 // @route   POST /api/auth/register
-// @desc    Registrar nuevo usuario
-// @access  Public (pero controlado por jefe en producción)
+// @desc    Registrar nuevo usuario (siempre como trabajador)
+// @access  Public (solo si ALLOW_PUBLIC_REGISTRATION=true)
 router.post('/register', [
+  requirePublicRegistration,
   body('username')
     .isLength({ min: 3, max: 50 })
     .withMessage('El nombre de usuario debe tener entre 3 y 50 caracteres')
@@ -29,16 +161,11 @@ router.post('/register', [
     .withMessage('Debe proporcionar un email válido')
     .normalizeEmail(),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+    .custom(passwordPolicyValidator),
   body('name')
     .isLength({ min: 2, max: 100 })
     .withMessage('El nombre debe tener entre 2 y 100 caracteres')
-    .trim(),
-  body('role')
-    .optional()
-    .isIn(['jefe', 'trabajador'])
-    .withMessage('El rol debe ser jefe o trabajador')
+    .trim()
 ], async (req, res) => {
   try {
     // Verificar errores de validación
@@ -50,7 +177,8 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password, name, role = 'trabajador' } = req.body;
+    // El rol nunca se toma del body: los jefes solo se crean por invitación
+    const { username, email, password, name } = req.body;
 
     // Verificar si el usuario ya existe
     const existingUser = await User.findOne({
@@ -70,22 +198,36 @@ router.post('/register', [
       });
     }
 
+    // El autorregistro se une a la tienda por defecto
+    const store = await Store.getDefault();
+    if (!store) {
+      return res.status(503).json({
+        error: 'No hay ninguna tienda disponible para el registro'
+      });
+    }
+
     // Crear nuevo usuario
-    const newUser = await User.create({
-      username,
-      email,
-      password_hash: password, // Se hashea automáticamente en el hook
-      name,
-      role
+    const newUser = await sequelize.transaction(async (transaction) => {
+      const user = await User.create({
+        username,
+        email,
+        password_hash: password, // Se hashea automáticamente en el hook
+        name,
+        role: 'trabajador'
+      }, { transaction });
+
+      await StoreMembership.add(user.id, store.id, { transaction });
+      return user;
     });
 
-    // Generar token
-    const token = generateToken(newUser.id);
+    // Generar tokens
+    const { token, refreshToken } = await issueTokens(newUser, store.id, req);
 
     // Respuesta exitosa
     res.status(201).json({
       message: 'Usuario registrado exitosamente',
       token,
+      refreshToken,
       user: newUser.toSafeObject()
     });
 
@@ -108,10 +250,169 @@ router.post('/register', [
   }
 });
 
+// @route   GET /api/auth/invitations/:token
+// @desc    Consultar los datos de una invitación antes de aceptarla
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(404).json({
+        error: 'Invitación no válida o caducada',
+        code: 'INVALID_INVITATION'
+      });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error consultando invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Aceptar invitación: crea la cuenta con el rol de la invitación y fija la contraseña
+// @access  Public (requiere token de invitación)
+router.post('/accept-invitation', [
+  body('token')
+    .notEmpty()
+    .withMessage('Debe proporcionar el token de invitación'),
+  body('username')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El nombre de usuario debe tener entre 3 y 50 caracteres')
+    .isAlphanumeric()
+    .withMessage('El nombre de usuario solo puede contener letras y números'),
+  body('password')
+    .custom(passwordPolicyValidator),
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres')
+    .trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { token, username, password } = req.body;
+
+    const invitation = await Invitation.findByToken(token);
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        error: 'Invitación no válida o caducada',
+        code: 'INVALID_INVITATION'
+      });
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({
+        error: 'Debe proporcionar un nombre'
+      });
+    }
+
+    const existingUser = await User.findOne({
+      where: {
+        [User.sequelize.Sequelize.Op.or]: [
+          { email: invitation.email },
+          { username }
+        ]
+      }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: existingUser.email === invitation.email
+          ? 'Este email ya está registrado'
+          : 'Este nombre de usuario ya está en uso'
+      });
+    }
+
+    // Crear el usuario y consumir la invitación de forma atómica (un solo uso)
+    const newUser = await sequelize.transaction(async (transaction) => {
+      const [acceptedCount] = await Invitation.update(
+        { accepted_at: new Date() },
+        { where: { id: invitation.id, accepted_at: null, revoked_at: null }, transaction }
+      );
+
+      if (acceptedCount === 0) {
+        return null;
+      }
+
+      const user = await User.create({
+        username,
+        email: invitation.email,
+        password_hash: password, // Se hashea automáticamente en el hook
+        name,
+        role: invitation.role
+      }, { transaction });
+
+      await Invitation.update(
+        { user_id: user.id },
+        { where: { id: invitation.id }, transaction }
+      );
+
+      await StoreMembership.add(user.id, invitation.store_id, { transaction });
+
+      return user;
+    });
+
+    if (!newUser) {
+      return res.status(400).json({
+        error: 'Invitación no válida o caducada',
+        code: 'INVALID_INVITATION'
+      });
+    }
+
+    const { token: accessToken, refreshToken } = await issueTokens(newUser, invitation.store_id, req);
+
+    res.status(201).json({
+      message: 'Cuenta creada exitosamente',
+      token: accessToken,
+      refreshToken,
+      user: newUser.toSafeObject()
+    });
+
+  } catch (error) {
+    console.error('Error aceptando invitación:', error);
+
+    if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Iniciar sesión
 // @access  Public
 router.post('/login', [
+  loginThrottle,
   body('identifier')
     .notEmpty()
     .withMessage('Debe proporcionar email o nombre de usuario'),
@@ -142,6 +443,8 @@ router.post('/login', [
     });
 
     if (!user) {
+      recordLoginFailure(req, identifier);
+      await recordFailedLogin(req, null, 'unknown_user', { identifier: String(identifier).slice(0, 100) });
       return res.status(401).json({
         error: 'Credenciales inválidas'
       });
@@ -149,35 +452,150 @@ router.post('/login', [
 
     // Verificar si el usuario está activo
     if (!user.is_active) {
+      await recordFailedLogin(req, user.id, 'user_inactive');
       return res.status(401).json({
         error: 'Usuario desactivado. Contacte al administrador'
       });
     }
 
+    // Verificar bloqueo temporal por intentos fallidos
+    if (user.isLocked()) {
+      recordLoginFailure(req, identifier);
+      await recordFailedLogin(req, user.id, 'account_locked');
+      return res.status(423).json({
+        error: 'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: user.locked_until
+      });
+    }
+
     // Verificar contraseña
     const isValidPassword = await user.validatePassword(password);
     if (!isValidPassword) {
+      recordLoginFailure(req, identifier);
+      await user.registerFailedLogin();
+      await recordFailedLogin(req, user.id, 'invalid_password', user.isLocked() ? { locked: true } : {});
+
+      if (user.isLocked()) {
+        return res.status(423).json({
+          error: 'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+          code: 'ACCOUNT_LOCKED',
+          locked_until: user.locked_until
+        });
+      }
+
       return res.status(401).json({
         error: 'Credenciales inválidas'
       });
     }
 
-    // Actualizar último login
-    user.last_login = new Date();
-    await user.save();
+    // Con 2FA activado, el login continúa en POST /api/auth/login/2fa
+    if (user.two_factor_enabled) {
+      return res.json({
+        message: 'Introduce el código de verificación',
+        two_factor_required: true,
+        challenge_token: generateTwoFactorChallenge(user)
+      });
+    }
 
-    // Generar token
-    const token = generateToken(user.id);
+    await completeLogin(user, req, res);
 
-    // Respuesta exitosa
-    res.json({
-      message: 'Inicio de sesión exitoso',
-      token,
-      user: user.toSafeObject()
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
     });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Segundo paso del login: código TOTP o código de recuperación
+// @access  Public (requiere challenge_token del primer paso)
+router.post('/login/2fa', [
+  loginThrottle,
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Debe proporcionar el token del primer paso'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        error: 'Debe proporcionar un código de verificación o un código de recuperación'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+
+    if (!challenge || challenge.purpose !== '2fa') {
+      return res.status(401).json({
+        error: 'La verificación ha caducado. Inicia sesión de nuevo',
+        code: 'INVALID_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    const user = await User.findByPk(challenge.userId);
+    if (!user || !user.is_active || !user.two_factor_enabled || challenge.tv !== user.token_version) {
+      return res.status(401).json({
+        error: 'La verificación ha caducado. Inicia sesión de nuevo',
+        code: 'INVALID_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    if (user.isLocked()) {
+      await recordFailedLogin(req, user.id, 'account_locked', { two_factor: true });
+      return res.status(423).json({
+        error: 'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: user.locked_until
+      });
+    }
+
+    const isValidCode = code
+      ? await user.verifyTwoFactorCode(code)
+      : await TwoFactorRecoveryCode.consume(user.id, recoveryCode);
+
+    if (!isValidCode) {
+      recordLoginFailure(req, user.username);
+      await user.registerFailedLogin();
+      await recordFailedLogin(req, user.id, 'invalid_two_factor_code', {
+        method: code ? 'totp' : 'recovery_code'
+      });
+
+      return res.status(401).json({
+        error: 'Código de verificación incorrecto',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const extra = recoveryCode && !code
+      ? { recovery_codes_remaining: await TwoFactorRecoveryCode.countRemaining(user.id) }
+      : {};
+
+    await completeLogin(user, req, res, extra);
 
   } catch (error) {
-    console.error('Error en login:', error);
+    console.error('Error en verificación en dos pasos:', error);
     res.status(500).json({
       error: 'Error interno del servidor'
     });
@@ -189,8 +607,17 @@ router.post('/login', [
 // @access  Private
 router.get('/me', authenticateToken, async (req, res) => {
   try {
+    const stores = await StoreMembership.getStores(req.user.id);
+
     res.json({
-      user: req.user.toSafeObject()
+      user: req.user.toSafeObject({ includeSensitive: true }),
+      preferences: req.user.preferences,
+      permissions: await req.user.getPermissions(),
+      store_id: req.auth.storeId,
+      stores: stores.map(store => ({ id: store.id, name: store.name, code: store.code })),
+      ...(req.impersonator && {
+        impersonated_by: { id: req.impersonator.id, name: req.impersonator.name, username: req.impersonator.username }
+      })
     });
   } catch (error) {
     console.error('Error obteniendo perfil:', error);
@@ -200,17 +627,187 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Renovar token JWT
+// @route   PUT /api/auth/me/preferences
+// @desc    Actualizar las preferencias del usuario actual (solo los campos enviados)
 // @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+router.put('/me/preferences', [
+  authenticateToken,
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`El idioma debe ser uno de: ${SUPPORTED_LOCALES.join(', ')}`),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('La zona horaria debe ser una zona IANA válida (p. ej. Europe/Madrid)'),
+  body('week_start')
+    .optional()
+    .isInt({ min: 1, max: 7 })
+    .withMessage('El primer día de la semana debe estar entre 1 (lunes) y 7 (domingo)')
+    .toInt(),
+  body('notifications')
+    .optional()
+    .isObject()
+    .withMessage('notifications debe ser un objeto'),
+  ...NOTIFICATION_CHANNELS.map(channel => body(`notifications.${channel}`)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`notifications.${channel} debe ser true o false`))
+], async (req, res) => {
   try {
-    // Generar nuevo token
-    const newToken = generateToken(req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const stored = req.user.getDataValue('preferences') || {};
+    const updates = {};
+    ['locale', 'timezone', 'week_start'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (req.body.notifications) {
+      updates.notifications = { ...stored.notifications };
+      NOTIFICATION_CHANNELS.forEach(channel => {
+        if (req.body.notifications[channel] !== undefined) {
+          updates.notifications[channel] = req.body.notifications[channel];
+        }
+      });
+    }
+
+    await req.user.update({ preferences: { ...stored, ...updates } });
+
+    res.json({
+      message: 'Preferencias actualizadas exitosamente',
+      preferences: req.user.preferences
+    });
+
+  } catch (error) {
+    console.error('Error actualizando preferencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Renovar access token rotando el refresh token
+// @access  Public (requiere refresh token válido)
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Debe proporcionar un refresh token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const stored = await RefreshToken.findByToken(req.body.refreshToken);
+
+    if (!stored) {
+      return res.status(401).json({
+        error: 'Refresh token inválido',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // Un token ya rotado que se vuelve a usar indica que ha sido robado:
+    // se revoca la sesión completa
+    if (stored.revoked_at) {
+      await revokeSession(stored.family);
+      await SecurityEvent.record('token_refreshed', req, {
+        userId: stored.user_id,
+        success: false,
+        details: { reason: 'refresh_token_reused', session_id: stored.family }
+      });
+      return res.status(401).json({
+        error: 'Sesión revocada. Inicia sesión de nuevo',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    const session = await UserSession.findByPk(stored.family);
+    if (!stored.isActive() || !session || !session.isActive()) {
+      return res.status(401).json({
+        error: 'Refresh token expirado',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      });
+    }
+
+    const user = await User.findByPk(stored.user_id);
+    if (!user || !user.is_active) {
+      await session.revoke();
+      return res.status(401).json({
+        error: 'Usuario desactivado',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    // El usuario ya no pertenece a la tienda de la sesión
+    if (!(await StoreMembership.isMember(user.id, session.store_id))) {
+      await session.revoke();
+      return res.status(401).json({
+        error: 'Ya no tienes acceso a esta tienda. Inicia sesión de nuevo',
+        code: 'STORE_ACCESS_REVOKED'
+      });
+    }
+
+    // Rotar: revocar el token actual y emitir uno nuevo de la misma familia
+    const rotated = await sequelize.transaction(async (transaction) => {
+      const [revokedCount] = await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { id: stored.id, revoked_at: null }, transaction }
+      );
+
+      // Otra petición lo rotó a la vez
+      if (revokedCount === 0) {
+        return null;
+      }
+
+      const issued = await RefreshToken.issue(user.id, stored.family, { transaction });
+      await RefreshToken.update(
+        { replaced_by: issued.record.id },
+        { where: { id: stored.id }, transaction }
+      );
+
+      return issued;
+    });
+
+    if (!rotated) {
+      await session.revoke();
+      await SecurityEvent.record('token_refreshed', req, {
+        userId: user.id,
+        success: false,
+        details: { reason: 'refresh_token_reused', session_id: session.id }
+      });
+      return res.status(401).json({
+        error: 'Sesión revocada. Inicia sesión de nuevo',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    session.last_used_at = new Date();
+    session.ip_address = req.ip;
+    await session.save();
+
+    await SecurityEvent.record('token_refreshed', req, {
+      userId: user.id,
+      details: { session_id: session.id }
+    });
 
     res.json({
       message: 'Token renovado exitosamente',
-      token: newToken
+      token: generateAccessToken(user, session),
+      refreshToken: rotated.token
     });
 
   } catch (error) {
@@ -222,13 +819,254 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Cerrar sesión (invalida token en el cliente)
+// @desc    Cerrar sesión (revoca la sesión actual en el servidor)
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // En una implementación más robusta, aquí se invalidaría el token
-    // en una blacklist de redis o similar
-    
+    await revokeSession(req.auth.sessionId);
+
+    res.json({
+      message: 'Sesión cerrada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Cerrar todas las sesiones del usuario actual
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await req.user.revokeAllSessions();
+
+    res.json({
+      message: 'Todas las sesiones han sido cerradas'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando todas las sesiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/switch-store
+// @desc    Cambiar la tienda activa de la sesión actual (emite un access token nuevo)
+// @access  Private
+router.post('/switch-store', [
+  authenticateToken,
+  body('store_id')
+    .isInt({ min: 1 })
+    .withMessage('Debe proporcionar una tienda válida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const stores = await StoreMembership.getStores(req.user.id);
+    const store = stores.find(s => s.id === parseInt(req.body.store_id, 10));
+
+    if (!store) {
+      return res.status(403).json({
+        error: 'No perteneces a esta tienda',
+        code: 'STORE_ACCESS_DENIED'
+      });
+    }
+
+    const session = await UserSession.findByPk(req.auth.sessionId);
+    session.store_id = store.id;
+    await session.save({ fields: ['store_id'] });
+
+    // Los access tokens anteriores de la sesión dejan de ser válidos (apuntan a otra tienda)
+    res.json({
+      message: `Tienda activa: ${store.name}`,
+      token: generateAccessToken(req.user, session),
+      store: { id: store.id, name: store.name, code: store.code }
+    });
+
+  } catch (error) {
+    console.error('Error cambiando de tienda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/impersonate
+// @desc    Actuar como otro usuario de la tienda (token de corta duración, auditado)
+// @access  Private (users.impersonate)
+router.post('/impersonate', [
+  authenticateToken,
+  requirePermission('users.impersonate'),
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('user_id debe ser un ID de usuario válido'),
+  body('reason')
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Indica el motivo de la suplantación (entre 3 y 500 caracteres)')
+    .trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findInStore(req.body.user_id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        error: 'No puedes actuar como tú mismo'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(400).json({
+        error: 'No se puede actuar como un usuario desactivado'
+      });
+    }
+
+    if (user.role === SUPERUSER_ROLE) {
+      return res.status(403).json({
+        error: 'No se puede actuar como otro jefe',
+        code: 'IMPERSONATION_NOT_ALLOWED'
+      });
+    }
+
+    const session = await UserSession.findByPk(req.auth.sessionId);
+    const impersonation = await Impersonation.start({
+      actorId: req.user.id,
+      userId: user.id,
+      sessionId: session.id,
+      storeId: session.store_id,
+      reason: req.body.reason,
+      expiresInMinutes: securityConfig.impersonation.expiresInMinutes
+    }, req);
+
+    await SecurityEvent.record('impersonation_started', req, {
+      userId: user.id,
+      actorId: req.user.id,
+      details: { impersonation_id: impersonation.id, reason: impersonation.reason }
+    });
+
+    res.status(201).json({
+      message: `Ahora actúas como ${user.name}. Las modificaciones requieren confirmación`,
+      token: generateImpersonationToken(req.user, session, impersonation),
+      impersonation: {
+        id: impersonation.id,
+        user: user.toSafeObject(),
+        expires_at: impersonation.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error iniciando suplantación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/impersonate/end
+// @desc    Terminar la suplantación en curso (se llama con el token de suplantación)
+// @access  Private
+router.post('/impersonate/end', authenticateToken, async (req, res) => {
+  try {
+    if (!req.auth.impersonationId) {
+      return res.status(400).json({
+        error: 'No estás actuando como otro usuario'
+      });
+    }
+
+    const impersonation = await Impersonation.findByPk(req.auth.impersonationId);
+    await impersonation.end();
+
+    await SecurityEvent.record('impersonation_ended', req, {
+      userId: impersonation.user_id,
+      actorId: impersonation.actor_id,
+      details: { impersonation_id: impersonation.id }
+    });
+
+    res.json({
+      message: 'Has dejado de actuar como otro usuario'
+    });
+
+  } catch (error) {
+    console.error('Error terminando suplantación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Listar las sesiones activas del usuario actual
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await UserSession.getActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => session.toPublicObject(req.auth.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo sesiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Cerrar una sesión concreta del usuario actual
+// @access  Private
+router.delete('/sessions/:id', [
+  authenticateToken,
+  param('id')
+    .isUUID()
+    .withMessage('ID de sesión inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const session = await UserSession.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada'
+      });
+    }
+
+    await session.revoke();
+
     res.json({
       message: 'Sesión cerrada exitosamente'
     });
@@ -250,8 +1088,7 @@ router.put('/change-password', [
     .notEmpty()
     .withMessage('Debe proporcionar la contraseña actual'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('La nueva contraseña debe tener al menos 6 caracteres')
+    .custom(passwordPolicyValidator)
 ], async (req, res) => {
   try {
     // Verificar errores de validación
@@ -276,12 +1113,28 @@ router.put('/change-password', [
       });
     }
 
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        error: 'No puedes reutilizar una de tus últimas contraseñas',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
     // Actualizar contraseña
     user.password_hash = newPassword; // Se hashea automáticamente en el hook
+    user.must_change_password = false;
     await user.save();
 
+    // Cerrar el resto de sesiones y emitir tokens nuevos para esta
+    await user.revokeAllSessions();
+    const { token, refreshToken } = await issueTokens(user, req.auth.storeId, req);
+
+    await SecurityEvent.record('password_changed', req, { userId: user.id });
+
     res.json({
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Contraseña actualizada exitosamente',
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -292,4 +1145,141 @@ router.put('/change-password', [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Solicitar enlace para restablecer la contraseña
+// @access  Public
+router.post('/forgot-password', [
+  passwordResetIpLimiter,
+  body('email')
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+  // Después de normalizar: variantes del mismo email cuentan juntas
+  passwordResetEmailLimiter
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    // Solo se envía el correo a usuarios activos, pero la respuesta es siempre
+    // la misma para no revelar qué emails están registrados
+    if (user && user.is_active) {
+      const { token } = await PasswordResetToken.issue(user.id, req.ip);
+
+      await sendMail({
+        to: user.email,
+        ...mailTemplates.passwordReset({
+          name: user.name,
+          token,
+          expiresInMinutes: PasswordResetToken.TTL_MINUTES,
+          locale: user.preferences.locale
+        })
+      });
+    }
+
+    res.json({
+      message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error solicitando restablecimiento de contraseña:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Restablecer la contraseña con un token de un solo uso
+// @access  Public (requiere token de restablecimiento)
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Debe proporcionar el token de restablecimiento'),
+  body('newPassword')
+    .custom(passwordPolicyValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const resetToken = await PasswordResetToken.findByToken(token);
+    if (!resetToken || !resetToken.isValid()) {
+      return res.status(400).json({
+        error: 'Token de restablecimiento inválido o caducado',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const user = await User.findByPk(resetToken.user_id);
+    if (!user || !user.is_active) {
+      return res.status(400).json({
+        error: 'Token de restablecimiento inválido o caducado',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        error: 'No puedes reutilizar una de tus últimas contraseñas',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    // Consumir el token y cambiar la contraseña de forma atómica (un solo uso)
+    const updated = await sequelize.transaction(async (transaction) => {
+      const [usedCount] = await PasswordResetToken.update(
+        { used_at: new Date() },
+        { where: { id: resetToken.id, used_at: null }, transaction }
+      );
+
+      if (usedCount === 0) {
+        return false;
+      }
+
+      user.password_hash = newPassword; // Se hashea automáticamente en el hook
+      user.must_change_password = false;
+      user.failed_login_attempts = 0;
+      user.locked_until = null;
+      await user.save({ transaction });
+      await user.revokeAllSessions({ transaction });
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        error: 'Token de restablecimiento inválido o caducado',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    await SecurityEvent.record('password_reset', req, { userId: user.id });
+
+    res.json({
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con la nueva contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Invitation, User } = require('../models');
+const { ROLES } = require('../config/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Duración por defecto de una invitación (en días)
+const DEFAULT_INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS, 10) || 7;
+
+// Todas las rutas requieren el permiso de invitar usuarios
+router.use(authenticateToken, requirePermission('invitations.manage'));
+
+// @route   GET /api/invitations
+// @desc    Listar invitaciones
+// @access  Private (invitations.manage)
+router.get('/', [
+  query('status').optional().isIn(['pendiente', 'aceptada', 'revocada', 'caducada'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    const invitations = await Invitation.findAll({
+      where: { store_id: req.auth.storeId },
+      order: [['created_at', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'inviter',
+          attributes: ['id', 'name', 'username']
+        }
+      ]
+    });
+
+    const { status } = req.query;
+    const result = invitations
+      .map(invitation => invitation.toSafeObject())
+      .filter(invitation => !status || invitation.status === status);
+
+    res.json({ invitations: result });
+
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Crear invitación con rol y caducidad
+// @access  Private (invitations.manage)
+router.post('/', [
+  body('email')
+    .isEmail()
+    .withMessage('Debe proporcionar un email válido')
+    .normalizeEmail(),
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage('El rol debe ser jefe, encargado o trabajador'),
+  body('expires_in_days')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('La caducidad debe estar entre 1 y 30 días')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { email, name, role = 'trabajador', expires_in_days = DEFAULT_INVITATION_TTL_DAYS } = req.body;
+
+    // Invitar con un rol distinto de trabajador equivale a asignar ese rol
+    if (role !== 'trabajador' && !(await req.user.hasPermission('roles.manage'))) {
+      return res.status(403).json({
+        error: 'No tienes permisos para invitar con este rol',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required_permissions: ['roles.manage']
+      });
+    }
+
+    if (!req.user.canAssignRole(role)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede invitar con el rol de jefe'
+      });
+    }
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'Este email ya está registrado'
+      });
+    }
+
+    const pendingInvitation = await Invitation.findPendingByEmail(email);
+    if (pendingInvitation) {
+      return res.status(409).json({
+        error: 'Ya existe una invitación pendiente para este email',
+        // No mostrar invitaciones de otras tiendas
+        ...(pendingInvitation.store_id === req.auth.storeId && { invitation: pendingInvitation.toSafeObject() })
+      });
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      name,
+      role,
+      storeId: req.auth.storeId,
+      invitedBy: req.user.id,
+      expiresInDays: parseInt(expires_in_days)
+    });
+
+    // El token solo se devuelve en esta respuesta
+    res.status(201).json({
+      message: 'Invitación creada exitosamente',
+      invitation: invitation.toSafeObject(),
+      token
+    });
+
+  } catch (error) {
+    console.error('Error creando invitación:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revocar invitación pendiente
+// @access  Private (invitations.manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId }
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    if (!invitation.isPending()) {
+      return res.status(400).json({
+        error: 'Solo se pueden revocar invitaciones pendientes'
+      });
+    }
+
+    await invitation.update({ revoked_at: new Date() });
+
+    res.json({
+      message: 'Invitación revocada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error revocando invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,372 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const { KioskDevice, KioskPunch, Store, StoreMembership, TimeClock, User } = require('../models');
+const { Op } = require('sequelize');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { authenticateKiosk } = require('../middleware/kiosk');
+const { toLocalDate } = require('../utils/dates');
+const { maxShiftHours } = require('../config/timeTracking');
+
+const router = express.Router();
+
+// Bloqueo del PIN de un trabajador tras varios intentos fallidos en el terminal
+const MAX_PIN_FAILURES = parseInt(process.env.KIOSK_MAX_PIN_FAILURES, 10) || 5;
+const PIN_LOCK_WINDOW_MS = (parseInt(process.env.KIOSK_PIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+
+// Límite de fichajes por terminal (evita probar PINs de forma masiva)
+const punchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: parseInt(process.env.KIOSK_MAX_PUNCHES_PER_MINUTE, 10) || 30,
+  keyGenerator: (req) => `kiosk:${req.kioskDevice.id}`,
+  message: {
+    error: 'Demasiados intentos desde este terminal, espera un momento',
+    code: 'KIOSK_RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// ========================================
+// GESTIÓN DE TERMINALES (kiosk.manage)
+// ========================================
+
+// @route   GET /api/kiosk/devices
+// @desc    Listar terminales de fichaje registrados
+// @access  Private (kiosk.manage)
+router.get('/devices', authenticateToken, requirePermission('kiosk.manage'), async (req, res) => {
+  try {
+    const devices = await KioskDevice.findAll({
+      where: { store_id: req.auth.storeId },
+      order: [['created_at', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'registeredBy',
+          attributes: ['id', 'name', 'username']
+        }
+      ]
+    });
+
+    res.json({
+      devices: devices.map(device => device.toSafeObject())
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo terminales:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/kiosk/devices
+// @desc    Registrar un terminal de fichaje y obtener su credencial
+// @access  Private (kiosk.manage)
+router.post('/devices', [
+  authenticateToken,
+  requirePermission('kiosk.manage'),
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre del dispositivo debe tener entre 2 y 100 caracteres')
+    .trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { device, token } = await KioskDevice.register(req.body.name, req.auth.storeId, req.user.id);
+
+    // La credencial solo se devuelve en esta respuesta
+    res.status(201).json({
+      message: 'Terminal registrado exitosamente',
+      device: device.toSafeObject(),
+      kiosk_token: token
+    });
+
+  } catch (error) {
+    console.error('Error registrando terminal:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/kiosk/devices/:id
+// @desc    Revocar la credencial de un terminal
+// @access  Private (kiosk.manage)
+router.delete('/devices/:id', authenticateToken, requirePermission('kiosk.manage'), async (req, res) => {
+  try {
+    const device = await KioskDevice.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId }
+    });
+    if (!device || device.revoked_at) {
+      return res.status(404).json({
+        error: 'Terminal no encontrado'
+      });
+    }
+
+    await device.update({ revoked_at: new Date() });
+
+    res.json({
+      message: 'Terminal revocado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error revocando terminal:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/kiosk/punches
+// @desc    Registro de fichajes realizados en terminales (incluye intentos fallidos)
+// @access  Private (kiosk.manage)
+router.get('/punches', [
+  authenticateToken,
+  requirePermission('kiosk.manage'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('device_id').optional().isInt(),
+  query('user_id').optional().isInt(),
+  query('success').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    const { page = 1, limit = 20, device_id, user_id, success, startDate, endDate } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (device_id) where.kiosk_device_id = device_id;
+    if (user_id) where.user_id = user_id;
+    if (success !== undefined) where.success = success === 'true';
+    if (startDate && endDate) {
+      where.created_at = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    }
+
+    const { count, rows: punches } = await KioskPunch.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']],
+      include: [
+        {
+          model: KioskDevice,
+          as: 'device',
+          attributes: ['id', 'name'],
+          where: { store_id: req.auth.storeId }
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'username']
+        }
+      ]
+    });
+
+    res.json({
+      punches,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(count / limit),
+        total_items: count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo fichajes de terminales:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// RUTAS DEL TERMINAL (credencial de kiosko)
+// ========================================
+
+// @route   GET /api/kiosk/workers
+// @desc    Lista de trabajadores que pueden fichar con PIN en el terminal
+// @access  Kiosk
+router.get('/workers', authenticateKiosk, async (req, res) => {
+  try {
+    const workers = await User.findAll({
+      where: {
+        ...User.storeFilter(req.kioskDevice.store_id),
+        is_active: true,
+        kiosk_pin_hash: { [Op.not]: null }
+      },
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ workers });
+
+  } catch (error) {
+    console.error('Error obteniendo trabajadores del terminal:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/kiosk/punch
+// @desc    Fichar entrada o salida (alterna) con PIN personal o código de tarjeta/QR
+// @access  Kiosk
+router.post('/punch', [
+  authenticateKiosk,
+  punchLimiter,
+  body('badge_code')
+    .optional()
+    .isString(),
+  body('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('user_id debe ser un ID de usuario válido'),
+  body('pin')
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage('El PIN debe tener entre 4 y 8 dígitos')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { badge_code, user_id, pin } = req.body;
+    const method = badge_code ? 'badge' : 'pin';
+
+    if (!badge_code && !(user_id && pin)) {
+      return res.status(400).json({
+        error: 'Debe proporcionar un código de tarjeta o un trabajador y su PIN'
+      });
+    }
+
+    // Registrar cada intento, correcto o no
+    const recordPunch = (data) => KioskPunch.create({
+      kiosk_device_id: req.kioskDevice.id,
+      method,
+      ip_address: req.ip,
+      ...data
+    });
+
+    // Solo pueden fichar los trabajadores de la tienda del terminal
+    const candidate = badge_code
+      ? await User.findByBadgeCode(badge_code)
+      : await User.findByPk(user_id);
+    const user = candidate && await StoreMembership.isMember(candidate.id, req.kioskDevice.store_id)
+      ? candidate
+      : null;
+
+    if (!user) {
+      await recordPunch({ success: false, failure_reason: badge_code ? 'INVALID_BADGE' : 'USER_NOT_FOUND' });
+      return res.status(401).json({
+        error: badge_code ? 'Código no reconocido' : 'Trabajador o PIN incorrectos',
+        code: 'INVALID_KIOSK_CREDENTIALS'
+      });
+    }
+
+    if (!user.is_active) {
+      await recordPunch({ user_id: user.id, success: false, failure_reason: 'USER_INACTIVE' });
+      return res.status(401).json({
+        error: 'Usuario desactivado',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    if (!badge_code) {
+      const recentFailures = await KioskPunch.countRecentFailures(user.id, PIN_LOCK_WINDOW_MS);
+      if (recentFailures >= MAX_PIN_FAILURES) {
+        await recordPunch({ user_id: user.id, success: false, failure_reason: 'PIN_LOCKED' });
+        return res.status(429).json({
+          error: 'PIN bloqueado temporalmente por demasiados intentos fallidos',
+          code: 'KIOSK_PIN_LOCKED'
+        });
+      }
+
+      if (!(await user.validateKioskPin(pin))) {
+        await recordPunch({ user_id: user.id, success: false, failure_reason: 'INVALID_PIN' });
+        return res.status(401).json({
+          error: 'Trabajador o PIN incorrectos',
+          code: 'INVALID_KIOSK_CREDENTIALS'
+        });
+      }
+    }
+
+    // Alternar: si hay un fichaje abierto se cierra, si no se abre uno nuevo
+    const timezone = await Store.getTimeZone(req.kioskDevice.store_id);
+    const activeClock = await TimeClock.getActiveClock(user.id);
+    let clock;
+    let action;
+
+    if (activeClock && activeClock.exceedsMaxShift()) {
+      await recordPunch({
+        user_id: user.id,
+        time_clock_id: activeClock.id,
+        action: 'clock_out',
+        success: false,
+        failure_reason: 'MAX_SHIFT_EXCEEDED'
+      });
+      return res.status(409).json({
+        error: `El fichaje abierto supera la duración máxima de un turno (${maxShiftHours} horas). Avisa a tu responsable`,
+        code: 'MAX_SHIFT_EXCEEDED'
+      });
+    }
+
+    if (activeClock) {
+      clock = await activeClock.clockOut(new Date());
+      action = 'clock_out';
+    } else {
+      clock = await TimeClock.create({
+        store_id: req.kioskDevice.store_id,
+        user_id: user.id,
+        clock_in_time: new Date(),
+        date: toLocalDate(new Date(), timezone),
+        notes: `Fichaje desde terminal: ${req.kioskDevice.name}`
+      });
+      action = 'clock_in';
+    }
+
+    await recordPunch({ user_id: user.id, time_clock_id: clock.id, action, success: true });
+
+    const totalHoursToday = await TimeClock.getTotalHoursToday(user.id, timezone);
+
+    res.json({
+      message: action === 'clock_in'
+        ? `Entrada fichada correctamente. ¡Buen trabajo, ${user.name}!`
+        : `Salida fichada correctamente. ¡Hasta luego, ${user.name}!`,
+      action,
+      worker: { id: user.id, name: user.name },
+      clock: {
+        id: clock.id,
+        clock_in_time: clock.clock_in_time,
+        clock_out_time: clock.clock_out_time,
+        total_hours: clock.total_hours
+      },
+      total_hours_today: totalHoursToday
+    });
+
+  } catch (error) {
+    console.error('Error fichando desde terminal:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { RolePermission } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES, SUPERUSER_ROLE, PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Todas las rutas requieren el permiso de gestionar roles
+router.use(authenticateToken, requirePermission('roles.manage'));
+
+// @route   GET /api/roles
+// @desc    Listar roles con sus permisos y el registro de permisos disponibles
+// @access  Private (roles.manage)
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Promise.all(ROLES.map(async (role) => ({
+      role,
+      editable: role !== SUPERUSER_ROLE,
+      permissions: await RolePermission.getPermissions(role)
+    })));
+
+    res.json({
+      roles,
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo roles:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:role/permissions
+// @desc    Sustituir los permisos de un rol
+// @access  Private (roles.manage)
+router.put('/:role/permissions', [
+  param('role')
+    .isIn(ROLES)
+    .withMessage('Rol inválido'),
+  body('permissions')
+    .isArray()
+    .withMessage('permissions debe ser una lista'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Permiso desconocido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+
+    if (role === SUPERUSER_ROLE) {
+      return res.status(400).json({
+        error: 'El rol jefe tiene siempre todos los permisos'
+      });
+    }
+
+    const permissions = await RolePermission.setPermissions(role, [...new Set(req.body.permissions)]);
+
+    res.json({
+      message: 'Permisos actualizados exitosamente',
+      role: { role, editable: true, permissions }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando permisos del rol:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
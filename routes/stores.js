@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Store, StoreMembership, Team, TeamMembership, User, UserSession, sequelize } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/dates');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// Buscar una tienda a la que pertenezca el usuario actual
+const findOwnStore = async (req, storeId) => {
+  if (!(await StoreMembership.isMember(req.user.id, storeId))) {
+    return null;
+  }
+  return await Store.findByPk(storeId);
+};
+
+// @route   GET /api/stores
+// @desc    Tiendas a las que pertenece el usuario actual
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const stores = await StoreMembership.getStores(req.user.id);
+
+    res.json({
+      stores: stores.map(store => ({
+        ...store.toJSON(),
+        is_current: store.id === req.auth.storeId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo tiendas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/stores
+// @desc    Crear una tienda (quien la crea pasa a pertenecer a ella)
+// @access  Private (stores.manage)
+router.post('/', [
+  requirePermission('stores.manage'),
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre de la tienda debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('code')
+    .matches(/^[a-z0-9-]{2,50}$/)
+    .withMessage('El código debe tener entre 2 y 50 minúsculas, números o guiones'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('La zona horaria debe ser una zona IANA válida (p. ej. Europe/Madrid)'),
+  body('min_break_minutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('La pausa mínima debe estar entre 0 y 120 minutos'),
+  body('min_break_after_hours')
+    .optional()
+    .isFloat({ min: 1, max: 12 })
+    .withMessage('El umbral de la pausa mínima debe estar entre 1 y 12 horas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { name, code, timezone, min_break_minutes, min_break_after_hours } = req.body;
+
+    const existingStore = await Store.findOne({ where: { code } });
+    if (existingStore) {
+      return res.status(409).json({
+        error: 'Ya existe una tienda con este código'
+      });
+    }
+
+    const store = await sequelize.transaction(async (transaction) => {
+      const newStore = await Store.create({
+        name, code, timezone, min_break_minutes, min_break_after_hours
+      }, { transaction });
+      await StoreMembership.add(req.user.id, newStore.id, { transaction });
+      return newStore;
+    });
+
+    res.status(201).json({
+      message: 'Tienda creada exitosamente',
+      store
+    });
+
+  } catch (error) {
+    console.error('Error creando tienda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/stores/:id
+// @desc    Actualizar nombre, estado, zona horaria o pausa mínima de una tienda
+// @access  Private (stores.manage)
+router.put('/:id', [
+  requirePermission('stores.manage'),
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre de la tienda debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active debe ser verdadero o falso'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('La zona horaria debe ser una zona IANA válida (p. ej. Europe/Madrid)'),
+  body('min_break_minutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('La pausa mínima debe estar entre 0 y 120 minutos'),
+  body('min_break_after_hours')
+    .optional()
+    .isFloat({ min: 1, max: 12 })
+    .withMessage('El umbral de la pausa mínima debe estar entre 1 y 12 horas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const store = await findOwnStore(req, req.params.id);
+    if (!store) {
+      return res.status(404).json({
+        error: 'Tienda no encontrada'
+      });
+    }
+
+    const { name, is_active, timezone, min_break_minutes, min_break_after_hours } = req.body;
+    const deactivating = is_active === false && store.is_active;
+    const timezoneChanged = timezone !== undefined && timezone !== store.timezone;
+
+    if (deactivating && store.id === req.auth.storeId) {
+      return res.status(400).json({
+        error: 'No puedes desactivar la tienda activa. Cambia antes a otra tienda'
+      });
+    }
+
+    // Al cambiar la zona horaria, los fichajes y registros ya guardados pasan a contarse en el día local nuevo
+    await sequelize.transaction(async (transaction) => {
+      await store.update({
+        name, is_active, timezone, min_break_minutes, min_break_after_hours
+      }, { transaction });
+      if (timezoneChanged) {
+        await store.recomputeDates({ transaction });
+      }
+    });
+
+    // Cerrar las sesiones abiertas en una tienda desactivada
+    if (deactivating) {
+      await UserSession.revokeForStore(store.id);
+    }
+
+    res.json({
+      message: 'Tienda actualizada exitosamente',
+      store
+    });
+
+  } catch (error) {
+    console.error('Error actualizando tienda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/stores/:id/members
+// @desc    Añadir a una tienda un usuario de la tienda activa
+// @access  Private (stores.manage)
+router.post('/:id/members', [
+  requirePermission('stores.manage'),
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('user_id debe ser un ID de usuario válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const store = await findOwnStore(req, req.params.id);
+    if (!store) {
+      return res.status(404).json({
+        error: 'Tienda no encontrada'
+      });
+    }
+
+    const user = await User.findInStore(req.body.user_id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    await StoreMembership.add(user.id, store.id);
+
+    res.status(201).json({
+      message: `${user.name} ya pertenece a ${store.name}`
+    });
+
+  } catch (error) {
+    console.error('Error añadiendo usuario a la tienda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/stores/:id/members/:userId
+// @desc    Quitar a un usuario de una tienda (cierra sus sesiones en ella)
+// @access  Private (stores.manage)
+router.delete('/:id/members/:userId', requirePermission('stores.manage'), async (req, res) => {
+  try {
+    const store = await findOwnStore(req, req.params.id);
+    if (!store) {
+      return res.status(404).json({
+        error: 'Tienda no encontrada'
+      });
+    }
+
+    const membership = await StoreMembership.findOne({
+      where: { store_id: store.id, user_id: req.params.userId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({
+        error: 'El usuario no pertenece a esta tienda'
+      });
+    }
+
+    const member = await User.findByPk(membership.user_id);
+    if (!req.user.canManageAccountOf(member)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede retirar a otro jefe de una tienda'
+      });
+    }
+
+    const membershipCount = await StoreMembership.count({ where: { user_id: membership.user_id } });
+    if (membershipCount <= 1) {
+      return res.status(400).json({
+        error: 'El usuario debe pertenecer al menos a una tienda. Desactívalo en su lugar'
+      });
+    }
+
+    await membership.destroy();
+    await UserSession.revokeForStore(store.id, membership.user_id);
+
+    // Sale también de los equipos de esa tienda
+    const storeTeams = await Team.findAll({ where: { store_id: store.id }, attributes: ['id'] });
+    await TeamMembership.destroy({
+      where: { user_id: membership.user_id, team_id: storeTeams.map(team => team.id) }
+    });
+
+    res.json({
+      message: 'Usuario retirado de la tienda exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error retirando usuario de la tienda:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,53 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { Task, User, TimeEntry } = require('../models');
+const { Task, User, Team, TimeEntry } = require('../models');
 const { Op } = require('sequelize');
-const { authenticateToken, requireJefe, requireOwnerOrJefe } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Todas las rutas requieren autenticación
 router.use(authenticateToken);
 
+// Tareas visibles sin tasks.view_all: las asignadas al usuario, las disponibles sin equipo,
+// las disponibles en la cola de sus equipos y todas las de los equipos que supervisa
+const getVisibilityFilter = async (req) => {
+  const [memberTeamIds, supervisedTeamIds] = await Promise.all([
+    Team.getTeamIdsForUser(req.user.id, req.auth.storeId),
+    Team.getSupervisedTeamIds(req.user.id, req.auth.storeId)
+  ]);
+
+  const conditions = [
+    { assigned_to: req.user.id },
+    { assigned_to: null, team_id: null }
+  ];
+  if (memberTeamIds.length > 0) {
+    conditions.push({ assigned_to: null, team_id: memberTeamIds });
+  }
+  if (supervisedTeamIds.length > 0) {
+    conditions.push({ team_id: supervisedTeamIds });
+  }
+
+  return { [Op.or]: conditions };
+};
+
+// Comprobar si el usuario puede ver una tarea concreta
+const canViewTask = async (req, task) => {
+  if (task.assigned_to === req.user.id || await req.user.hasPermission('tasks.view_all')) {
+    return true;
+  }
+  if (!task.team_id) {
+    return false;
+  }
+
+  const team = await Team.findByPk(task.team_id, { attributes: ['id', 'supervisor_id'] });
+  if (team.supervisor_id === req.user.id) {
+    return true;
+  }
+  // Los miembros ven las tareas pendientes de asignar en la cola de su equipo
+  return task.assigned_to === null && await team.hasMember(req.user.id);
+};
+
 // @route   GET /api/tasks
 // @desc    Obtener lista de tareas
 // @access  Private
@@ -17,7 +56,8 @@ router.get('/', authenticateToken, [
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isIn(['pendiente', 'en_progreso', 'completada', 'cancelada']),
   query('priority').optional().isIn(['baja', 'media', 'alta', 'urgente']),
-  query('search').optional().isLength({ min: 1 })
+  query('search').optional().isLength({ min: 1 }),
+  query('team_id').optional().isInt({ min: 1 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,13 +65,14 @@ router.get('/', authenticateToken, [
       return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
     }
 
-    const { page = 1, limit = 20, status, priority, search } = req.query;
+    const { page = 1, limit = 20, status, priority, search, team_id } = req.query;
     const offset = (page - 1) * limit;
 
-    // Construir filtros base
-    const where = {};
+    // Construir filtros base (solo tareas de la tienda activa)
+    const where = { store_id: req.auth.storeId };
     if (status) where.status = status;
     if (priority) where.priority = priority;
+    if (team_id) where.team_id = parseInt(team_id);
 
     // Filtros de búsqueda
     const searchFilters = search ? {
@@ -41,18 +82,14 @@ router.get('/', authenticateToken, [
       ]
     } : {};
 
-    // Filtros por rol (CRÍTICO para seguridad)
-    if (req.user.role === 'trabajador') {
-      // Los trabajadores SOLO pueden ver:
+    // Filtros por permisos (CRÍTICO para seguridad)
+    if (!(await req.user.hasPermission('tasks.view_all'))) {
+      // Sin tasks.view_all SOLO se puede ver:
       // 1. Sus tareas asignadas
-      // 2. Tareas sin asignar (disponibles)
+      // 2. Tareas sin asignar (disponibles) sin equipo o en la cola de uno de sus equipos
+      // 3. Las tareas de los equipos que supervisa
       // NUNCA tareas del jefe o de otros trabajadores
-      const roleFilters = {
-        [Op.or]: [
-          { assigned_to: req.user.id },  // Mis tareas asignadas
-          { assigned_to: null }           // Tareas disponibles (sin asignar)
-        ]
-      };
+      const roleFilters = await getVisibilityFilter(req);
 
       // Combinar búsqueda con filtros de rol usando AND
       if (search) {
@@ -61,7 +98,7 @@ router.get('/', authenticateToken, [
         Object.assign(where, roleFilters);
       }
     } else {
-      // El jefe puede ver TODAS las tareas
+      // Con tasks.view_all se ven TODAS las tareas
       if (search) {
         Object.assign(where, searchFilters);
       }
@@ -80,6 +117,11 @@ router.get('/', authenticateToken, [
           as: 'creator',
           attributes: ['id', 'name', 'username']
         },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
+        },
         {
           model: TimeEntry,
           as: 'timeEntries',
@@ -140,11 +182,11 @@ router.get('/', authenticateToken, [
 });
 
 // @route   POST /api/tasks
-// @desc    Crear nueva tarea (solo jefe)
-// @access  Private (Jefe)
+// @desc    Crear nueva tarea y asignarla
+// @access  Private (tasks.assign)
 router.post('/', [
   authenticateToken,
-  requireJefe,
+  requirePermission('tasks.assign'),
   body('title')
     .notEmpty()
     .withMessage('El título es obligatorio')
@@ -158,6 +200,10 @@ router.post('/', [
     .optional({ checkFalsy: true }) // Esto trata "", 0, false, null como opcional
     .isInt({ min: 1 })
     .withMessage('assigned_to debe ser un ID de usuario válido'),
+  body('team_id')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('team_id debe ser un ID de equipo válido'),
   body('priority')
     .optional()
     .isIn(['baja', 'media', 'alta', 'urgente'])
@@ -189,28 +235,43 @@ router.post('/', [
       title,
       description,
       assigned_to,
+      team_id,
       priority = 'media',
       estimated_hours,
       due_date
     } = req.body;
 
+    // Validar el equipo (si se especifica): sin assigned_to la tarea queda en su cola
+    let team = null;
+    if (team_id) {
+      team = await Team.findInStore(team_id, req.auth.storeId);
+      if (!team) {
+        return res.status(400).json({ error: 'El equipo indicado no existe' });
+      }
+    }
+
     // Validar que el usuario asignado existe (si se especifica)
     if (assigned_to) {
-      const assignedUser = await User.findByPk(assigned_to);
+      const assignedUser = await User.findInStore(assigned_to, req.auth.storeId);
       if (!assignedUser) {
         return res.status(400).json({ error: 'El usuario asignado no existe' });
       }
-      // Permitir asignar tareas a trabajadores Y al jefe que está creando la tarea
-      if (assignedUser.role !== 'trabajador' && assignedUser.id !== req.user.id) {
-        return res.status(400).json({ error: 'Solo se puede asignar tareas a trabajadores o a ti mismo' });
+      // Permitir asignar tareas a trabajadores y encargados, o a uno mismo (nunca a otro jefe)
+      if (assignedUser.role === 'jefe' && assignedUser.id !== req.user.id) {
+        return res.status(400).json({ error: 'Solo se puede asignar tareas a trabajadores, encargados o a ti mismo' });
+      }
+      if (team && !(await team.hasMember(assignedUser.id))) {
+        return res.status(400).json({ error: 'El usuario asignado no pertenece al equipo indicado' });
       }
     }
 
     // Crear la tarea
     const task = await Task.create({
+      store_id: req.auth.storeId,
       title: title.trim(),
       description: description ? description.trim() : null,
       assigned_to: assigned_to || null,
+      team_id: team ? team.id : null,
       created_by: req.user.id,
       priority,
       estimated_hours: estimated_hours || null,
@@ -230,6 +291,11 @@ router.post('/', [
           model: User,
           as: 'creator',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
         }
       ]
     });
@@ -264,7 +330,7 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const task = await Task.findByPk(id, {
+    const task = await Task.findInStore(id, req.auth.storeId, {
       include: [
         {
           model: User,
@@ -276,6 +342,11 @@ router.get('/:id', async (req, res) => {
           as: 'creator',
           attributes: ['id', 'name', 'username']
         },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
+        },
         {
           model: TimeEntry,
           as: 'timeEntries',
@@ -298,7 +369,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Verificar permisos
-    if (req.user.role === 'trabajador' && task.assigned_to !== req.user.id) {
+    if (!(await canViewTask(req, task))) {
       return res.status(403).json({
         error: 'No tienes permisos para ver esta tarea'
       });
@@ -345,7 +416,11 @@ router.put('/:id', [
   body('due_date')
     .optional()
     .isISO8601()
-    .withMessage('Fecha de vencimiento inválida')
+    .withMessage('Fecha de vencimiento inválida'),
+  body('team_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('team_id debe ser un ID de equipo válido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -356,16 +431,33 @@ router.put('/:id', [
       });
     }
 
-    const task = await Task.findByPk(req.params.id);
+    const task = await Task.findInStore(req.params.id, req.auth.storeId);
     if (!task) {
       return res.status(404).json({ error: 'Tarea no encontrada' });
     }
 
     // Verificar permisos
-    if (req.user.role === 'trabajador' && task.assigned_to !== req.user.id) {
+    if (task.assigned_to !== req.user.id && !(await req.user.hasPermission('tasks.manage'))) {
       return res.status(403).json({ error: 'No tienes permisos para editar esta tarea' });
     }
 
+    // Mover la tarea a la cola de otro equipo (o sacarla con null) requiere tasks.assign
+    if (req.body.team_id !== undefined) {
+      if (!(await req.user.hasPermission('tasks.assign'))) {
+        return res.status(403).json({ error: 'No tienes permisos para cambiar el equipo de esta tarea' });
+      }
+      if (req.body.team_id !== null) {
+        const team = await Team.findInStore(req.body.team_id, req.auth.storeId);
+        if (!team) {
+          return res.status(400).json({ error: 'El equipo indicado no existe' });
+        }
+        // Como al crearla: una tarea asignada solo puede estar en un equipo de su responsable
+        if (task.assigned_to && !(await team.hasMember(task.assigned_to))) {
+          return res.status(400).json({ error: 'El usuario asignado no pertenece al equipo indicado' });
+        }
+      }
+    }
+
     // Validación: No permitir editar tareas en progreso (excepto para cambiar estado y comentarios)
     if (task.status === 'en_progreso') {
       // Solo permitir cambiar el estado y agregar comentarios de finalización
@@ -398,7 +490,7 @@ router.put('/:id', [
     }
 
     // Actualizar campos permitidos
-    const allowedUpdates = ['title', 'description', 'status', 'priority', 'estimated_hours', 'due_date', 'completion_comments'];
+    const allowedUpdates = ['title', 'description', 'status', 'priority', 'estimated_hours', 'due_date', 'completion_comments', 'team_id'];
     const updates = {};
     
     allowedUpdates.forEach(field => {
@@ -426,6 +518,11 @@ router.put('/:id', [
           model: User,
           as: 'creator',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
         }
       ]
     });
@@ -441,13 +538,13 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Eliminar tarea (solo jefe)
-// @access  Private (Jefe)
-router.delete('/:id', requireJefe, async (req, res) => {
+// @desc    Eliminar tarea
+// @access  Private (tasks.delete)
+router.delete('/:id', requirePermission('tasks.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const task = await Task.findByPk(id);
+    const task = await Task.findInStore(id, req.auth.storeId);
     if (!task) {
       return res.status(404).json({
         error: 'Tarea no encontrada'
@@ -475,7 +572,7 @@ router.post('/:id/complete', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const task = await Task.findByPk(id);
+    const task = await Task.findInStore(id, req.auth.storeId);
     if (!task) {
       return res.status(404).json({
         error: 'Tarea no encontrada'
@@ -483,7 +580,7 @@ router.post('/:id/complete', async (req, res) => {
     }
 
     // Verificar permisos
-    if (req.user.role === 'trabajador' && task.assigned_to !== req.user.id) {
+    if (task.assigned_to !== req.user.id && !(await req.user.hasPermission('tasks.manage'))) {
       return res.status(403).json({
         error: 'Solo puedes completar tus propias tareas'
       });
@@ -512,7 +609,7 @@ router.put('/:id/assign-to-me', authenticateToken, async (req, res) => {
     const taskId = req.params.id;
 
     // Buscar la tarea
-    const task = await Task.findByPk(taskId);
+    const task = await Task.findInStore(taskId, req.auth.storeId);
     if (!task) {
       return res.status(404).json({ error: 'Tarea no encontrada' });
     }
@@ -527,6 +624,14 @@ router.put('/:id/assign-to-me', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No se puede asignar una tarea completada o cancelada' });
     }
 
+    // Las tareas en la cola de un equipo solo las pueden coger sus miembros
+    if (task.team_id && !(await req.user.hasPermission('tasks.manage'))) {
+      const team = await Team.findByPk(task.team_id);
+      if (!(await team.hasMember(req.user.id))) {
+        return res.status(403).json({ error: 'Esta tarea está en la cola de un equipo al que no perteneces' });
+      }
+    }
+
     // Auto-asignar la tarea al usuario actual
     await task.update({
       assigned_to: req.user.id,
@@ -545,6 +650,11 @@ router.put('/:id/assign-to-me', authenticateToken, async (req, res) => {
           model: User,
           as: 'creator',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
         }
       ]
     });
@@ -591,6 +701,7 @@ router.post('/activity', [
 
     // Crear la tarea auto-asignada y en progreso
     const task = await Task.create({
+      store_id: req.auth.storeId,
       title: title.trim(),
       description: description ? description.trim() : 'Actividad de trabajo libre',
       assigned_to: req.user.id, // Auto-asignar al usuario actual
@@ -613,6 +724,11 @@ router.post('/activity', [
           model: User,
           as: 'creator',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: Team,
+          as: 'team',
+          attributes: ['id', 'name']
         }
       ]
     });
@@ -0,0 +1,343 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Team, TeamMembership, User, Task, sequelize } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// Comprobar que el responsable indicado pertenece a la tienda activa
+const validateSupervisor = async (req, supervisorId) => {
+  if (!supervisorId) {
+    return true;
+  }
+  const supervisor = await User.findInStore(supervisorId, req.auth.storeId);
+  return !!supervisor && supervisor.is_active;
+};
+
+// @route   GET /api/teams
+// @desc    Listar los equipos de la tienda activa con su responsable y número de miembros
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const teams = await Team.findAll({
+      where: { store_id: req.auth.storeId },
+      order: [['name', 'ASC']],
+      include: [
+        {
+          model: User,
+          as: 'supervisor',
+          attributes: ['id', 'name', 'username']
+        },
+        {
+          model: User,
+          as: 'members',
+          attributes: ['id'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    res.json({
+      teams: teams.map(team => {
+        const { members, ...teamData } = team.toJSON();
+        return {
+          ...teamData,
+          member_count: members.length,
+          is_member: members.some(member => member.id === req.user.id)
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo equipos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Obtener un equipo con sus miembros
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await Team.findInStore(req.params.id, req.auth.storeId, {
+      include: [
+        {
+          model: User,
+          as: 'supervisor',
+          attributes: ['id', 'name', 'username']
+        },
+        {
+          model: User,
+          as: 'members',
+          attributes: ['id', 'name', 'username', 'role', 'is_active'],
+          through: { attributes: [] }
+        }
+      ],
+      order: [[{ model: User, as: 'members' }, 'name', 'ASC']]
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        error: 'Equipo no encontrado'
+      });
+    }
+
+    res.json({ team });
+
+  } catch (error) {
+    console.error('Error obteniendo equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/teams
+// @desc    Crear un equipo en la tienda activa
+// @access  Private (teams.manage)
+router.post('/', [
+  requirePermission('teams.manage'),
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre del equipo debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede superar 500 caracteres')
+    .trim(),
+  body('supervisor_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('supervisor_id debe ser un ID de usuario válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, supervisor_id } = req.body;
+
+    if (!(await validateSupervisor(req, supervisor_id))) {
+      return res.status(400).json({
+        error: 'El responsable debe ser un usuario activo de la tienda'
+      });
+    }
+
+    const existingTeam = await Team.findOne({ where: { store_id: req.auth.storeId, name } });
+    if (existingTeam) {
+      return res.status(409).json({
+        error: 'Ya existe un equipo con este nombre'
+      });
+    }
+
+    const team = await Team.create({
+      store_id: req.auth.storeId,
+      name,
+      description: description || null,
+      supervisor_id: supervisor_id || null
+    });
+
+    res.status(201).json({
+      message: 'Equipo creado exitosamente',
+      team
+    });
+
+  } catch (error) {
+    console.error('Error creando equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Actualizar nombre, descripción o responsable de un equipo
+// @access  Private (teams.manage)
+router.put('/:id', [
+  requirePermission('teams.manage'),
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre del equipo debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede superar 500 caracteres')
+    .trim(),
+  body('supervisor_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('supervisor_id debe ser un ID de usuario válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const team = await Team.findInStore(req.params.id, req.auth.storeId);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Equipo no encontrado'
+      });
+    }
+
+    const { name, description, supervisor_id } = req.body;
+
+    if (!(await validateSupervisor(req, supervisor_id))) {
+      return res.status(400).json({
+        error: 'El responsable debe ser un usuario activo de la tienda'
+      });
+    }
+
+    if (name && name !== team.name) {
+      const existingTeam = await Team.findOne({ where: { store_id: req.auth.storeId, name } });
+      if (existingTeam) {
+        return res.status(409).json({
+          error: 'Ya existe un equipo con este nombre'
+        });
+      }
+    }
+
+    await team.update({ name, description, supervisor_id });
+
+    res.json({
+      message: 'Equipo actualizado exitosamente',
+      team
+    });
+
+  } catch (error) {
+    console.error('Error actualizando equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Eliminar un equipo (sus tareas en cola vuelven a estar disponibles para todos)
+// @access  Private (teams.manage)
+router.delete('/:id', requirePermission('teams.manage'), async (req, res) => {
+  try {
+    const team = await Team.findInStore(req.params.id, req.auth.storeId);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Equipo no encontrado'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Task.update({ team_id: null }, { where: { team_id: team.id }, transaction });
+      await TeamMembership.destroy({ where: { team_id: team.id }, transaction });
+      await team.destroy({ transaction });
+    });
+
+    res.json({
+      message: 'Equipo eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/members
+// @desc    Añadir un usuario de la tienda a un equipo
+// @access  Private (teams.manage)
+router.post('/:id/members', [
+  requirePermission('teams.manage'),
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('user_id debe ser un ID de usuario válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const team = await Team.findInStore(req.params.id, req.auth.storeId);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Equipo no encontrado'
+      });
+    }
+
+    const user = await User.findInStore(req.body.user_id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    await TeamMembership.findOrCreate({
+      where: { team_id: team.id, user_id: user.id }
+    });
+
+    res.status(201).json({
+      message: `${user.name} añadido al equipo ${team.name}`
+    });
+
+  } catch (error) {
+    console.error('Error añadiendo miembro al equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Quitar a un usuario de un equipo
+// @access  Private (teams.manage)
+router.delete('/:id/members/:userId', requirePermission('teams.manage'), async (req, res) => {
+  try {
+    const team = await Team.findInStore(req.params.id, req.auth.storeId);
+    if (!team) {
+      return res.status(404).json({
+        error: 'Equipo no encontrado'
+      });
+    }
+
+    const removed = await TeamMembership.destroy({
+      where: { team_id: team.id, user_id: req.params.userId }
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'El usuario no pertenece a este equipo'
+      });
+    }
+
+    res.json({
+      message: 'Usuario retirado del equipo exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error retirando miembro del equipo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
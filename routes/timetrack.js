@@ -1,8 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { TimeClock, TimeEntry, User, Task } = require('../models');
-const { authenticateToken, requireOwnerOrJefe } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const {
+  TimeClock, TimeClockBreak, TimeClockCorrection, TimeClockRevision, JornadaAcknowledgement,
+  TimeEntry, User, Task, Team, Store, sequelize
+} = require('../models');
+const { authenticateToken, requirePermission, requireOwnerOrPermission, requirePermissionOrTeamSupervisor } = require('../middleware/auth');
 const { Op } = require('sequelize'); // Added Op for date range filtering
+const { toLocalDate, startOfLocalDay, endOfLocalDay, getWeekRange, getPeriodRange } = require('../utils/dates');
+const { maxShiftHours } = require('../config/timeTracking');
+const { buildJornadaReport, toJornadaCsv, toJornadaPdf } = require('../services/jornada');
 
 const router = express.Router();
 
@@ -18,13 +24,17 @@ router.use(authenticateToken);
 // @access  Private
 router.get('/clock/status', async (req, res) => {
   try {
-    const activeClock = await TimeClock.getTodaysActiveClock(req.user.id);
-    const allTodaysClocks = await TimeClock.getAllTodaysClocks(req.user.id);
-    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id);
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const activeClock = await TimeClock.getActiveClock(req.user.id);
+    const currentBreak = activeClock ? await activeClock.getOpenBreak() : null;
+    const allTodaysClocks = await TimeClock.getAllTodaysClocks(req.user.id, timezone);
+    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id, timezone);
 
     res.json({
       is_clocked_in: !!activeClock,
+      is_on_break: !!currentBreak,
       clock_data: activeClock || null,
+      current_break: currentBreak,
       total_hours_today: totalHoursToday,
       total_periods_today: allTodaysClocks.length,
       all_periods: allTodaysClocks.map(clock => ({
@@ -34,7 +44,9 @@ router.get('/clock/status', async (req, res) => {
         total_hours: clock.total_hours,
         is_active: clock.isActive()
       })),
-      current_time: new Date().toISOString()
+      current_time: new Date().toISOString(),
+      today: toLocalDate(new Date(), timezone),
+      timezone
     });
 
   } catch (error) {
@@ -50,10 +62,12 @@ router.get('/clock/status', async (req, res) => {
 // @access  Private
 router.post('/clock/in', async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const today = toLocalDate(new Date(), timezone);
     
-    // Verificar si ya tiene una entrada ACTIVA (sin salida)
-    const activeClock = await TimeClock.getTodaysActiveClock(req.user.id);
+    // Verificar si ya tiene una entrada ACTIVA (sin salida) en cualquier tienda y de cualquier día:
+    // una persona no puede estar fichada en dos sitios a la vez
+    const activeClock = await TimeClock.getActiveClock(req.user.id);
 
     if (activeClock) {
       return res.status(400).json({
@@ -62,16 +76,17 @@ router.post('/clock/in', async (req, res) => {
       });
     }
 
-    // Crear nueva entrada (permitir múltiples por día)
+    // Crear nueva entrada (permitir múltiples por día) en la tienda activa
     const newClock = await TimeClock.create({
+      store_id: req.auth.storeId,
       user_id: req.user.id,
       clock_in_time: new Date(),
       date: today
     });
 
     // Obtener estadísticas actualizadas
-    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id);
-    const allPeriods = await TimeClock.getAllTodaysClocks(req.user.id);
+    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id, timezone);
+    const allPeriods = await TimeClock.getAllTodaysClocks(req.user.id, timezone);
 
     res.status(201).json({
       message: 'Entrada fichada correctamente',
@@ -90,27 +105,14 @@ router.post('/clock/in', async (req, res) => {
 });
 
 // @route   POST /api/timetrack/clock/out
-// @desc    Fichar salida (cierra el fichaje activo más reciente)
+// @desc    Fichar salida (cierra el fichaje activo más reciente y la pausa en curso)
 // @access  Private
-router.post('/clock/out', [
-  body('break_minutes')
-    .optional()
-    .isInt({ min: 0, max: 480 })
-    .withMessage('Los minutos de descanso deben estar entre 0 y 480')
-], async (req, res) => {
+router.post('/clock/out', async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Datos de entrada inválidos',
-        details: errors.array()
-      });
-    }
-
-    const { break_minutes = 0 } = req.body;
+    const timezone = await Store.getTimeZone(req.auth.storeId);
 
-    // Buscar el fichaje activo más reciente
-    const activeClock = await TimeClock.getTodaysActiveClock(req.user.id);
+    // Buscar el fichaje activo más reciente (aunque se abriera antes de medianoche)
+    const activeClock = await TimeClock.getActiveClock(req.user.id);
 
     if (!activeClock) {
       return res.status(400).json({
@@ -118,18 +120,29 @@ router.post('/clock/out', [
       });
     }
 
-    // Cerrar el fichaje activo
-    await activeClock.clockOut(new Date(), break_minutes);
+    const clockOutTime = new Date();
+    if (activeClock.exceedsMaxShift(clockOutTime)) {
+      return res.status(409).json({
+        error: `El fichaje abierto supera la duración máxima de un turno (${maxShiftHours} horas). Pide a tu responsable que lo corrija`,
+        code: 'MAX_SHIFT_EXCEEDED',
+        clock: activeClock
+      });
+    }
+
+    // Cerrar el fichaje activo; el descanso se calcula a partir de sus pausas
+    await activeClock.clockOut(clockOutTime);
+    const breakSummary = await activeClock.getBreakSummary();
 
     // Obtener estadísticas actualizadas del día
-    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id);
-    const allPeriods = await TimeClock.getAllTodaysClocks(req.user.id);
+    const totalHoursToday = await TimeClock.getTotalHoursToday(req.user.id, timezone);
+    const allPeriods = await TimeClock.getAllTodaysClocks(req.user.id, timezone);
 
     res.json({
       message: 'Salida fichada correctamente',
       clock: activeClock,
       period_hours: activeClock.total_hours,
       period_duration: activeClock.formatDuration(),
+      breaks: breakSummary,
       total_hours_today: totalHoursToday,
       total_periods_today: allPeriods.length,
       is_final_exit: allPeriods.every(clock => !clock.isActive()) // true si no hay fichajes activos
@@ -137,6 +150,95 @@ router.post('/clock/out', [
 
   } catch (error) {
     console.error('Error fichando salida:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/timetrack/clock/break/start
+// @desc    Empezar una pausa (retribuida o no) en el fichaje activo
+// @access  Private
+router.post('/clock/break/start', [
+  body('type')
+    .optional()
+    .isIn(TimeClockBreak.TYPES)
+    .withMessage('El tipo de pausa debe ser paid (retribuida) o unpaid (no retribuida)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const activeClock = await TimeClock.getActiveClock(req.user.id);
+    if (!activeClock) {
+      return res.status(400).json({
+        error: 'No tienes ningún fichaje activo. Debes fichar entrada antes de empezar una pausa.'
+      });
+    }
+
+    if (await activeClock.getOpenBreak()) {
+      return res.status(409).json({
+        error: 'Ya estás en pausa'
+      });
+    }
+
+    const pause = await activeClock.startBreak(req.body.type || 'unpaid');
+
+    res.status(201).json({
+      message: 'Pausa iniciada',
+      break: pause,
+      clock: activeClock
+    });
+
+  } catch (error) {
+    console.error('Error iniciando pausa:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/timetrack/clock/break/end
+// @desc    Terminar la pausa en curso
+// @access  Private
+router.post('/clock/break/end', async (req, res) => {
+  try {
+    const activeClock = await TimeClock.getActiveClock(req.user.id);
+    const openBreak = activeClock ? await activeClock.getOpenBreak() : null;
+
+    if (!openBreak) {
+      return res.status(400).json({
+        error: 'No estás en pausa'
+      });
+    }
+
+    await activeClock.endBreak(openBreak);
+
+    res.json({
+      message: 'Pausa terminada',
+      break: openBreak,
+      break_minutes: Math.round(openBreak.getMinutes()),
+      clock: activeClock
+    });
+
+  } catch (error) {
+    console.error('Error terminando pausa:', error);
     res.status(500).json({
       error: 'Error interno del servidor'
     });
@@ -145,14 +247,14 @@ router.post('/clock/out', [
 
 // @route   GET /api/timetrack/clock/history/:userId?
 // @desc    Obtener historial de fichajes
-// @access  Private
-router.get('/clock/history/:userId?', requireOwnerOrJefe, async (req, res) => {
+// @access  Private (Propietario o timetrack.view_all)
+router.get('/clock/history/:userId?', requireOwnerOrPermission('timetrack.view_all'), async (req, res) => {
   try {
     const userId = req.params.userId || req.user.id;
     const { page = 1, limit = 10, startDate, endDate } = req.query;
     
     const offset = (page - 1) * limit;
-    const where = { user_id: userId };
+    const where = { user_id: userId, store_id: req.auth.storeId };
 
     if (startDate && endDate) {
       where.date = {
@@ -165,11 +267,16 @@ router.get('/clock/history/:userId?', requireOwnerOrJefe, async (req, res) => {
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['date', 'DESC']],
+      distinct: true,
       include: [
         {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: TimeClockBreak,
+          as: 'breaks'
         }
       ]
     });
@@ -192,6 +299,649 @@ router.get('/clock/history/:userId?', requireOwnerOrJefe, async (req, res) => {
   }
 });
 
+// @route   GET /api/timetrack/clock/review
+// @desc    Fichajes de la tienda pendientes de revisión (p. ej. cerrados automáticamente)
+// @access  Private (timetrack.manage)
+router.get('/clock/review', requirePermission('timetrack.manage'), async (req, res) => {
+  try {
+    const clocks = await TimeClock.findAll({
+      where: {
+        store_id: req.auth.storeId,
+        needs_review: true
+      },
+      order: [['clock_in_time', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'username']
+        }
+      ]
+    });
+
+    res.json({ clocks });
+
+  } catch (error) {
+    console.error('Error obteniendo fichajes pendientes de revisión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/timetrack/clock/:id/review
+// @desc    Marcar un fichaje como revisado
+// @access  Private (timetrack.manage)
+router.put('/clock/:id/review', requirePermission('timetrack.manage'), async (req, res) => {
+  try {
+    const clock = await TimeClock.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId }
+    });
+
+    if (!clock) {
+      return res.status(404).json({
+        error: 'Fichaje no encontrado'
+      });
+    }
+
+    if (!clock.needs_review) {
+      return res.status(409).json({
+        error: 'El fichaje no está pendiente de revisión'
+      });
+    }
+
+    await clock.markReviewed(req.user.id);
+
+    res.json({
+      message: 'Fichaje marcado como revisado',
+      clock
+    });
+
+  } catch (error) {
+    console.error('Error revisando fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// SOLICITUDES DE CORRECCIÓN DE FICHAJES
+// ========================================
+
+// Comprobar que los valores corregidos de un fichaje son válidos: horas no futuras, reglas del modelo
+// (salida posterior a la entrada, duración máxima...), pausas dentro del fichaje y sin solaparse con
+// otro fichaje del usuario. Devuelve null si son válidos o { status, body } con la respuesta de error
+const checkClockValues = async (clock, values, options = {}) => {
+  const { breaks, ...clockValues } = values;
+  const candidate = TimeClock.build({ ...clock.get(), ...clockValues });
+  const now = new Date();
+
+  if (candidate.clock_in_time > now || (candidate.clock_out_time && candidate.clock_out_time > now)) {
+    return { status: 400, body: { error: 'Las horas del fichaje no pueden ser futuras' } };
+  }
+
+  // Sin pausas nuevas se comprueban las que ya tiene (la que siga en curso terminaría a la nueva salida)
+  const candidateBreaks = breaks || (clock.id
+    ? await TimeClockBreak.findAll({ where: { time_clock_id: clock.id }, transaction: options.transaction })
+    : []);
+  const breakError = TimeClockBreak.findIntervalError(
+    candidateBreaks, candidate.clock_in_time, candidate.clock_out_time, now
+  );
+  if (breakError) {
+    return {
+      status: 400,
+      body: { error: breaks ? breakError : `${breakError}: indica las pausas corregidas en breaks` }
+    };
+  }
+
+  try {
+    await candidate.validate({ fields: ['clock_in_time', 'clock_out_time'] });
+  } catch (error) {
+    if (error.name !== 'SequelizeValidationError') {
+      throw error;
+    }
+    return {
+      status: 400,
+      body: {
+        error: 'Datos inválidos',
+        details: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      }
+    };
+  }
+
+  const conflict = await TimeClock.findConflicting(
+    clock.user_id, candidate.clock_in_time, candidate.clock_out_time, clock.id, options
+  );
+  if (conflict) {
+    return {
+      status: 409,
+      body: { error: 'Las horas propuestas se solapan con otro fichaje', conflicting_clock: conflict }
+    };
+  }
+
+  return null;
+};
+
+// Valores de fichaje enviados en el cuerpo (solo los presentes). "breaks" sustituye todas las pausas
+const getClockValues = ({ clock_in_time, clock_out_time, breaks }) => {
+  const values = {};
+  if (clock_in_time !== undefined) values.clock_in_time = new Date(clock_in_time);
+  if (clock_out_time !== undefined) values.clock_out_time = new Date(clock_out_time);
+  if (breaks !== undefined) {
+    values.breaks = breaks.map(pause => ({
+      type: pause.type || 'unpaid',
+      start_time: new Date(pause.start_time),
+      end_time: new Date(pause.end_time)
+    }));
+  }
+  return values;
+};
+
+// Pausas de un fichaje corregido o gestionado a mano: la lista completa, cada una terminada
+const breakValidators = [
+  body('breaks')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Las pausas deben ser una lista (máximo 20)'),
+  body('breaks.*.type')
+    .optional()
+    .isIn(TimeClockBreak.TYPES)
+    .withMessage('El tipo de pausa debe ser paid (retribuida) o unpaid (no retribuida)'),
+  body('breaks.*.start_time')
+    .isISO8601()
+    .withMessage('El inicio de cada pausa debe ser una fecha válida'),
+  body('breaks.*.end_time')
+    .isISO8601()
+    .withMessage('El fin de cada pausa debe ser una fecha válida')
+];
+
+const correctionIncludes = [
+  {
+    model: User,
+    as: 'requester',
+    attributes: ['id', 'name', 'username']
+  },
+  {
+    model: User,
+    as: 'reviewer',
+    attributes: ['id', 'name', 'username']
+  },
+  {
+    model: TimeClock,
+    as: 'timeClock'
+  }
+];
+
+// @route   POST /api/timetrack/clock/:id/corrections
+// @desc    Solicitar la corrección de un fichaje propio (entrada, salida y/o pausas, con motivo)
+// @access  Private (titular del fichaje)
+router.post('/clock/:id/corrections', [
+  body('clock_in_time')
+    .optional()
+    .isISO8601()
+    .withMessage('La hora de entrada debe ser una fecha válida'),
+  body('clock_out_time')
+    .optional()
+    .isISO8601()
+    .withMessage('La hora de salida debe ser una fecha válida'),
+  ...breakValidators,
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('El motivo debe tener entre 3 y 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const values = getClockValues(req.body);
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'Indica al menos la entrada, la salida o las pausas corregidas'
+      });
+    }
+
+    const clock = await TimeClock.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId, user_id: req.user.id }
+    });
+
+    if (!clock) {
+      return res.status(404).json({
+        error: 'Fichaje no encontrado'
+      });
+    }
+
+    if (await TimeClockCorrection.hasPending(clock.id)) {
+      return res.status(409).json({
+        error: 'Ya hay una solicitud de corrección pendiente para este fichaje'
+      });
+    }
+
+    const invalid = await checkClockValues(clock, values);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
+    }
+
+    const correction = await TimeClockCorrection.create({
+      store_id: req.auth.storeId,
+      time_clock_id: clock.id,
+      requested_by: req.user.id,
+      ...values,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      message: 'Solicitud de corrección enviada',
+      correction
+    });
+
+  } catch (error) {
+    console.error('Error solicitando corrección de fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/timetrack/corrections
+// @desc    Solicitudes de corrección: las propias o, con timetrack.manage, las de toda la tienda
+// @access  Private
+router.get('/corrections', [
+  query('status').optional().isIn(TimeClockCorrection.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const where = { store_id: req.auth.storeId };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+    if (!(await req.user.hasPermission('timetrack.manage'))) {
+      where.requested_by = req.user.id;
+    }
+
+    const corrections = await TimeClockCorrection.findAll({
+      where,
+      include: correctionIncludes,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ corrections });
+
+  } catch (error) {
+    console.error('Error obteniendo solicitudes de corrección:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/timetrack/corrections/:id/approve
+// @desc    Aprobar una solicitud de corrección: se aplica al fichaje y se guardan los valores anteriores
+// @access  Private (timetrack.manage)
+router.post('/corrections/:id/approve', requirePermission('timetrack.manage'), [
+  body('review_notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El comentario no puede superar los 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const correction = await TimeClockCorrection.findOne({
+        where: { id: req.params.id, store_id: req.auth.storeId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!correction) {
+        return { status: 404, body: { error: 'Solicitud de corrección no encontrada' } };
+      }
+      if (!correction.isPending()) {
+        return { status: 409, body: { error: 'La solicitud ya fue resuelta' } };
+      }
+      if (correction.requested_by === req.user.id) {
+        return { status: 403, body: { error: 'No puedes aprobar tus propias solicitudes de corrección' } };
+      }
+
+      const clock = await TimeClock.findByPk(correction.time_clock_id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!clock) {
+        return { status: 409, body: { error: 'El fichaje ya no existe' } };
+      }
+      const values = correction.getProposedValues();
+
+      // El fichaje puede haber cambiado desde la solicitud (cierre, otro fichaje...)
+      const invalid = await checkClockValues(clock, values, { transaction });
+      if (invalid) {
+        return invalid;
+      }
+
+      await clock.applyRevision(values, {
+        changedBy: req.user.id,
+        reason: correction.reason,
+        correctionId: correction.id,
+        transaction
+      });
+      await correction.resolve('aprobada', req.user.id, req.body.review_notes || null, { transaction });
+
+      return { status: 200, body: { message: 'Corrección aprobada y aplicada al fichaje', correction, clock } };
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error aprobando corrección de fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/timetrack/corrections/:id/reject
+// @desc    Rechazar una solicitud de corrección (el fichaje no cambia)
+// @access  Private (timetrack.manage)
+router.post('/corrections/:id/reject', requirePermission('timetrack.manage'), [
+  body('review_notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El comentario no puede superar los 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const correction = await TimeClockCorrection.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId }
+    });
+
+    if (!correction) {
+      return res.status(404).json({
+        error: 'Solicitud de corrección no encontrada'
+      });
+    }
+
+    if (!correction.isPending()) {
+      return res.status(409).json({
+        error: 'La solicitud ya fue resuelta'
+      });
+    }
+
+    await correction.resolve('rechazada', req.user.id, req.body.review_notes || null);
+
+    res.json({
+      message: 'Corrección rechazada',
+      correction
+    });
+
+  } catch (error) {
+    console.error('Error rechazando corrección de fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/timetrack/clock/:id/revisions
+// @desc    Historial de cambios de un fichaje, también de uno eliminado (valores anteriores y nuevos)
+// @access  Private (titular del fichaje o timetrack.view_all)
+router.get('/clock/:id/revisions', async (req, res) => {
+  try {
+    const clock = await TimeClock.findOne({
+      where: { id: req.params.id, store_id: req.auth.storeId },
+      paranoid: false
+    });
+
+    if (!clock || (clock.user_id !== req.user.id && !(await req.user.hasPermission('timetrack.view_all')))) {
+      return res.status(404).json({
+        error: 'Fichaje no encontrado'
+      });
+    }
+
+    const revisions = await TimeClockRevision.findAll({
+      where: { time_clock_id: clock.id },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'username']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({ clock, revisions });
+
+  } catch (error) {
+    console.error('Error obteniendo historial del fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// GESTIÓN MANUAL DE FICHAJES (responsables)
+// ========================================
+
+const manualClockValidators = (clockInRequired) => [
+  clockInRequired
+    ? body('clock_in_time').isISO8601().withMessage('La hora de entrada debe ser una fecha válida')
+    : body('clock_in_time').optional().isISO8601().withMessage('La hora de entrada debe ser una fecha válida'),
+  body('clock_out_time')
+    .optional()
+    .isISO8601()
+    .withMessage('La hora de salida debe ser una fecha válida'),
+  ...breakValidators,
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('El motivo es obligatorio (entre 3 y 500 caracteres)')
+];
+
+// @route   POST /api/timetrack/clocks
+// @desc    Crear un fichaje a mano para cualquier trabajador de la tienda (queda con is_manual)
+// @access  Private (timetrack.manage)
+router.post('/clocks', requirePermission('timetrack.manage'), [
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('Debe indicar el usuario'),
+  ...manualClockValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const worker = await User.findInStore(req.body.user_id, req.auth.storeId);
+    if (!worker) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const values = getClockValues(req.body);
+      const invalid = await checkClockValues(
+        TimeClock.build({ user_id: worker.id, store_id: req.auth.storeId }), values, { transaction }
+      );
+      if (invalid) {
+        return invalid;
+      }
+
+      const clock = await TimeClock.createManual({
+        store_id: req.auth.storeId,
+        user_id: worker.id,
+        ...values
+      }, {
+        changedBy: req.user.id,
+        reason: req.body.reason,
+        transaction
+      });
+
+      return { status: 201, body: { message: 'Fichaje creado correctamente', clock } };
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error creando fichaje manual:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/timetrack/clocks/:id
+// @desc    Modificar la entrada, la salida o las pausas de un fichaje (se recalculan el descanso y las horas)
+// @access  Private (timetrack.manage)
+router.put('/clocks/:id', requirePermission('timetrack.manage'), manualClockValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const values = getClockValues(req.body);
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'Indica al menos la entrada, la salida o las pausas'
+      });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const clock = await TimeClock.findOne({
+        where: { id: req.params.id, store_id: req.auth.storeId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!clock) {
+        return { status: 404, body: { error: 'Fichaje no encontrado' } };
+      }
+
+      const invalid = await checkClockValues(clock, values, { transaction });
+      if (invalid) {
+        return invalid;
+      }
+
+      await clock.applyRevision(values, {
+        changedBy: req.user.id,
+        reason: req.body.reason,
+        transaction
+      });
+
+      return { status: 200, body: { message: 'Fichaje actualizado correctamente', clock } };
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error modificando fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/timetrack/clocks/:id
+// @desc    Eliminar un fichaje (borrado lógico: sigue en el historial) y rechazar sus correcciones pendientes
+// @access  Private (timetrack.manage)
+router.delete('/clocks/:id', requirePermission('timetrack.manage'), [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('El motivo es obligatorio (entre 3 y 500 caracteres)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      const clock = await TimeClock.findOne({
+        where: { id: req.params.id, store_id: req.auth.storeId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!clock) {
+        return false;
+      }
+
+      const pendingCorrections = await TimeClockCorrection.findAll({
+        where: { time_clock_id: clock.id, status: 'pendiente' },
+        transaction
+      });
+      for (const correction of pendingCorrections) {
+        await correction.resolve('rechazada', req.user.id, 'El fichaje se ha eliminado', { transaction });
+      }
+
+      await clock.removeWithRevision({
+        changedBy: req.user.id,
+        reason: req.body.reason,
+        transaction
+      });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Fichaje no encontrado'
+      });
+    }
+
+    res.json({
+      message: 'Fichaje eliminado correctamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 // ========================================
 // RUTAS DE REGISTRO DE TIEMPO (TimeEntry)
 // ========================================
@@ -254,28 +1004,30 @@ router.post('/entries/start', [
 
     // Verificar que la tarea existe y está asignada al usuario (si se especifica)
     if (task_id) {
-      const task = await Task.findByPk(task_id);
+      const task = await Task.findInStore(task_id, req.auth.storeId);
       if (!task) {
         return res.status(404).json({
           error: 'Tarea no encontrada'
         });
       }
 
-      if (req.user.role === 'trabajador' && task.assigned_to !== req.user.id) {
+      if (task.assigned_to !== req.user.id && !(await req.user.hasPermission('tasks.manage'))) {
         return res.status(403).json({
           error: 'No puedes registrar tiempo en una tarea que no está asignada a ti'
         });
       }
     }
 
+    const timezone = await Store.getTimeZone(req.auth.storeId);
     const newEntry = await TimeEntry.create({
+      store_id: req.auth.storeId,
       user_id: req.user.id,
       task_id,
       start_time: new Date(),
       description,
       is_free_time: !task_id,
       category,
-      date: new Date().toISOString().split('T')[0]
+      date: toLocalDate(new Date(), timezone)
     });
 
     // Incluir información de la tarea si existe
@@ -358,7 +1110,7 @@ router.post('/entries/:id/stop', async (req, res) => {
 // @access  Private
 router.get('/entries/today', async (req, res) => {
   try {
-    const todaysEntries = await TimeEntry.getTodaysEntries(req.user.id);
+    const todaysEntries = await TimeEntry.getTodaysEntries(req.user.id, await Store.getTimeZone(req.auth.storeId));
 
     const totalMinutes = todaysEntries.reduce(
       (total, entry) => total + (entry.duration_minutes || 0), 0
@@ -380,14 +1132,14 @@ router.get('/entries/today', async (req, res) => {
 
 // @route   GET /api/timetrack/entries/history/:userId?
 // @desc    Obtener historial de registros de tiempo
-// @access  Private
-router.get('/entries/history/:userId?', requireOwnerOrJefe, async (req, res) => {
+// @access  Private (Propietario o timetrack.view_all)
+router.get('/entries/history/:userId?', requireOwnerOrPermission('timetrack.view_all'), async (req, res) => {
   try {
     const userId = req.params.userId || req.user.id;
     const { page = 1, limit = 10, startDate, endDate, task_id } = req.query;
     
     const offset = (page - 1) * limit;
-    const where = { user_id: userId };
+    const where = { user_id: userId, store_id: req.auth.storeId };
 
     if (startDate && endDate) {
       where.date = {
@@ -444,27 +1196,23 @@ router.get('/reports/weekly/:userId?', async (req, res) => {
     const targetUserId = req.params.userId || req.user.id;
     
     // Verificar permisos
-    if (req.user.role === 'trabajador' && targetUserId != req.user.id) {
+    if (targetUserId != req.user.id && !(await req.user.hasPermission('timetrack.view_all'))) {
       return res.status(403).json({
         error: 'No tienes permisos para ver reportes de otros usuarios'
       });
     }
 
-    // Calcular fechas de la semana actual
-    const now = new Date();
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - now.getDay()); // Domingo
-    startOfWeek.setHours(0, 0, 0, 0);
-    
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(startOfWeek.getDate() + 6); // Sábado
-    endOfWeek.setHours(23, 59, 59, 999);
+    // Calcular la semana actual en la zona horaria de la tienda, desde el primer día de la semana del usuario
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const { week_start } = req.user.preferences;
+    const week = getWeekRange(toLocalDate(new Date(), timezone), week_start);
 
     // Filtros base
     const where = {
       user_id: targetUserId,
+      store_id: req.auth.storeId,
       date: {
-        [Op.between]: [startOfWeek, endOfWeek]
+        [Op.between]: [week.start, week.end]
       }
     };
 
@@ -516,8 +1264,8 @@ router.get('/reports/weekly/:userId?', async (req, res) => {
 
     res.json({
       week_range: {
-        start: startOfWeek.toISOString().split('T')[0],
-        end: endOfWeek.toISOString().split('T')[0]
+        start: week.start,
+        end: week.end
       },
       summary: {
         total_entries: timeEntries.length,
@@ -548,54 +1296,193 @@ router.get('/reports/weekly/:userId?', async (req, res) => {
   }
 });
 
-// @route   GET /api/timetrack/reports/team-stats
-// @desc    Obtener estadísticas completas del equipo
-// @access  Private (Solo jefe)
-router.get('/reports/team-stats', authenticateToken, async (req, res) => {
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// @route   GET /api/timetrack/reports/jornada/:userId?
+// @desc    Registro de jornada mensual de un trabajador (?month=AAAA-MM, por defecto el mes actual;
+//          ?format=json, csv o pdf)
+// @access  Private (Propietario o timetrack.view_all)
+router.get('/reports/jornada/:userId?', requireOwnerOrPermission('timetrack.view_all'), [
+  query('month')
+    .optional()
+    .matches(MONTH_PATTERN)
+    .withMessage('El mes debe tener el formato AAAA-MM'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('El formato debe ser json, csv o pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const worker = await User.findInStore(req.params.userId || req.user.id, req.auth.storeId);
+    if (!worker) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const store = await Store.findByPk(req.auth.storeId);
+    const month = req.query.month || toLocalDate(new Date(), store.timezone).slice(0, 7);
+    const report = await buildJornadaReport(worker, store, month);
+    const filename = `registro-jornada-${worker.username}-${month}`;
+
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      // BOM para que Excel reconozca el UTF-8 (acentos y eñes)
+      return res.send(`\uFEFF${toJornadaCsv(report)}`);
+    }
+
+    if (req.query.format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`
+      });
+      return res.send(toJornadaPdf(report));
+    }
+
+    res.json({ report });
+
+  } catch (error) {
+    console.error('Error generando registro de jornada:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/timetrack/reports/jornada/acknowledge
+// @desc    Firmar (dar conformidad a) el registro de jornada propio de un mes ya cerrado
+// @access  Private (solo el propio trabajador)
+router.post('/reports/jornada/acknowledge', [
+  body('month')
+    .matches(MONTH_PATTERN)
+    .withMessage('El mes debe tener el formato AAAA-MM'),
+  body('signature_name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('La firma debe tener entre 2 y 100 caracteres')
+], async (req, res) => {
   try {
-    // Solo el jefe puede ver estadísticas del equipo completo
-    if (req.user.role !== 'jefe') {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    // La firma es personal: no vale una suplantación ni una API key
+    if (req.auth.impersonationId || req.auth.apiKeyId) {
       return res.status(403).json({
-        error: 'Solo el jefe puede acceder a las estadísticas del equipo'
-      });
-    }
-
-    const { period = 'week' } = req.query;
-    let startDate, endDate;
-
-    // Calcular rango de fechas según el período
-    const now = new Date();
-    if (period === 'week') {
-      startDate = new Date(now);
-      startDate.setDate(now.getDate() - now.getDay()); // Domingo
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() + 6); // Sábado
-      endDate.setHours(23, 59, 59, 999);
-    } else if (period === 'month') {
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      endDate.setHours(23, 59, 59, 999);
-    } else if (period === 'quarter') {
-      const quarter = Math.floor(now.getMonth() / 3);
-      startDate = new Date(now.getFullYear(), quarter * 3, 1);
-      endDate = new Date(now.getFullYear(), quarter * 3 + 3, 0);
-      endDate.setHours(23, 59, 59, 999);
-    }
-
-    // Obtener usuarios trabajadores
+        error: 'Solo el propio trabajador puede firmar su registro de jornada, con su sesión'
+      });
+    }
+
+    const store = await Store.findByPk(req.auth.storeId);
+    const { month } = req.body;
+    if (month >= toLocalDate(new Date(), store.timezone).slice(0, 7)) {
+      return res.status(400).json({
+        error: 'Solo se puede firmar el registro de un mes ya cerrado'
+      });
+    }
+
+    const report = await buildJornadaReport(req.user, store, month);
+    if (report.acknowledgement && report.acknowledgement.matches_current_report) {
+      return res.status(409).json({
+        error: 'Ya has firmado este registro de jornada',
+        acknowledgement: report.acknowledgement
+      });
+    }
+
+    const userAgent = req.get('user-agent');
+    const acknowledgement = await JornadaAcknowledgement.create({
+      store_id: store.id,
+      user_id: req.user.id,
+      month,
+      report_hash: report.report_hash,
+      signature_name: req.body.signature_name || null,
+      ip_address: req.ip,
+      user_agent: userAgent ? userAgent.slice(0, 500) : null
+    });
+
+    res.status(201).json({
+      message: 'Registro de jornada firmado',
+      acknowledgement
+    });
+
+  } catch (error) {
+    console.error('Error firmando registro de jornada:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/timetrack/reports/team-stats
+// @desc    Obtener estadísticas completas del equipo (con ?team_id, solo de ese equipo)
+// @access  Private (timetrack.view_all o responsable del equipo indicado)
+router.get('/reports/team-stats', authenticateToken, requirePermissionOrTeamSupervisor('timetrack.view_all'), async (req, res) => {
+  try {
+    const { period = 'week', team_id } = req.query;
+
+    // Calcular rango de fechas según el período, en la zona horaria de la tienda
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const { week_start } = req.user.preferences;
+    const range = getPeriodRange(period, toLocalDate(new Date(), timezone), week_start);
+    const startDate = startOfLocalDay(range.start, timezone);
+    const endDate = endOfLocalDay(range.end, timezone);
+
+    // Con ?team_id el informe se limita a los miembros del equipo y a sus tareas
+    let team = null;
+    const workerWhere = { ...User.storeFilter(req.auth.storeId), role: 'trabajador', is_active: true };
+    const taskWhere = {
+      store_id: req.auth.storeId,
+      created_at: {
+        [Op.between]: [startDate, endDate]
+      }
+    };
+    const timeEntryWhere = {
+      store_id: req.auth.storeId,
+      date: {
+        [Op.between]: [range.start, range.end]
+      }
+    };
+
+    if (team_id) {
+      team = await Team.findInStore(team_id, req.auth.storeId, { attributes: ['id', 'name'] });
+      if (!team) {
+        return res.status(404).json({
+          error: 'Equipo no encontrado'
+        });
+      }
+
+      const memberIds = (await team.getMembers({ attributes: ['id'] })).map(member => member.id);
+      workerWhere[Op.and] = [Team.memberFilter(team.id)];
+      // Tareas de la cola del equipo y tareas asignadas a sus miembros
+      taskWhere[Op.or] = [{ team_id: team.id }, { assigned_to: memberIds }];
+      timeEntryWhere.user_id = memberIds;
+    }
+
+    // Obtener usuarios trabajadores de la tienda activa
     const workers = await User.findAll({
-      where: { role: 'trabajador', is_active: true },
+      where: workerWhere,
       attributes: ['id', 'name', 'username', 'email', 'created_at']
     });
 
     // Estadísticas de tareas por período
     const taskStats = await Task.findAll({
-      where: {
-        created_at: {
-          [Op.between]: [startDate, endDate]
-        }
-      },
+      where: taskWhere,
       include: [
         {
           model: User,
@@ -613,11 +1500,7 @@ router.get('/reports/team-stats', authenticateToken, async (req, res) => {
 
     // Estadísticas de tiempo por trabajador
     const timeStats = await TimeEntry.findAll({
-      where: {
-        date: {
-          [Op.between]: [startDate, endDate]
-        }
-      },
+      where: timeEntryWhere,
       include: [
         {
           model: User,
@@ -633,6 +1516,15 @@ router.get('/reports/team-stats', authenticateToken, async (req, res) => {
       ]
     });
 
+    // Horas fichadas por trabajador y día (solo registros cerrados). Los turnos que pasan
+    // la medianoche solo cuentan la parte que cae dentro del período
+    const clockHours = await TimeClock.getDailyHours(
+      { user_id: workers.map(worker => worker.id), store_id: req.auth.storeId },
+      range.start,
+      range.end,
+      timezone
+    );
+
     // Procesar estadísticas por trabajador
     const workerStats = await Promise.all(workers.map(async (worker) => {
       const workerTasks = taskStats.filter(task => 
@@ -644,19 +1536,8 @@ router.get('/reports/team-stats', authenticateToken, async (req, res) => {
       );
 
       // Calcular horas totales del período usando TimeClock (fichaje)
-      const workerTimeClocks = await TimeClock.findAll({
-        where: {
-          user_id: worker.id,
-          date: {
-            [Op.between]: [startDate, endDate]
-          },
-          clock_out_time: { [Op.not]: null } // Solo registros cerrados
-        },
-        attributes: ['total_hours']
-      });
-
-      const totalHours = workerTimeClocks.reduce(
-        (total, clock) => total + (parseFloat(clock.total_hours) || 0), 0
+      const totalHours = Object.values(clockHours[worker.id] || {}).reduce(
+        (total, hours) => total + hours, 0
       );
 
       const completedTasks = workerTasks.filter(task => 
@@ -757,10 +1638,12 @@ router.get('/reports/team-stats', authenticateToken, async (req, res) => {
     };
 
     res.json({
+      team,
       period: {
         type: period,
-        start: startDate.toISOString().split('T')[0],
-        end: endDate.toISOString().split('T')[0]
+        start: range.start,
+        end: range.end,
+        timezone
       },
       overview: {
         total_workers: workers.length,
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { User, TwoFactorRecoveryCode, sequelize } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const securityConfig = require('../config/security');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// @route   GET /api/auth/2fa
+// @desc    Estado de la verificación en dos pasos del usuario actual
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      enabled: req.user.two_factor_enabled,
+      required: securityConfig.twoFactor.requiredRoles.includes(req.user.role),
+      recovery_codes_remaining: req.user.two_factor_enabled
+        ? await TwoFactorRecoveryCode.countRemaining(req.user.id)
+        : 0
+    });
+  } catch (error) {
+    console.error('Error obteniendo estado de 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generar secreto TOTP y URI para el código QR
+// @access  Private
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'La verificación en dos pasos ya está activada'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.setTwoFactorSecret(secret);
+    await user.save();
+
+    res.json({
+      message: 'Escanea el código QR con tu app de autenticación y confirma con un código',
+      secret,
+      otpauth_uri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: securityConfig.twoFactor.issuer
+      })
+    });
+
+  } catch (error) {
+    console.error('Error configurando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirmar el secreto con un código y activar 2FA
+// @access  Private
+router.post('/enable', [
+  body('code')
+    .notEmpty()
+    .withMessage('Debe proporcionar el código de verificación')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'La verificación en dos pasos ya está activada'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        error: 'Primero debes generar el secreto con /api/auth/2fa/setup'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        error: 'Código de verificación incorrecto',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await sequelize.transaction(async (transaction) => {
+      user.two_factor_enabled = true;
+      await user.save({ transaction });
+
+      return await TwoFactorRecoveryCode.regenerate(
+        user.id,
+        securityConfig.twoFactor.recoveryCodesCount,
+        { transaction }
+      );
+    });
+
+    // Los códigos de recuperación solo se muestran en esta respuesta
+    res.json({
+      message: 'Verificación en dos pasos activada',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error activando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Desactivar 2FA (requiere contraseña y código)
+// @access  Private
+router.post('/disable', [
+  body('password')
+    .notEmpty()
+    .withMessage('Debe proporcionar la contraseña'),
+  body('code')
+    .notEmpty()
+    .withMessage('Debe proporcionar el código de verificación')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'La verificación en dos pasos no está activada'
+      });
+    }
+
+    if (securityConfig.twoFactor.requiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        error: 'La verificación en dos pasos es obligatoria para tu rol',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const isValidPassword = await user.validatePassword(req.body.password);
+    if (!isValidPassword || !(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(401).json({
+        error: 'Contraseña o código de verificación incorrectos'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      user.two_factor_enabled = false;
+      user.two_factor_secret = null;
+      user.two_factor_last_step = null;
+      await user.save({ transaction });
+      await TwoFactorRecoveryCode.destroy({ where: { user_id: user.id }, transaction });
+    });
+
+    res.json({
+      message: 'Verificación en dos pasos desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error desactivando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Generar nuevos códigos de recuperación (invalida los anteriores)
+// @access  Private
+router.post('/recovery-codes', [
+  body('code')
+    .notEmpty()
+    .withMessage('Debe proporcionar el código de verificación')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'La verificación en dos pasos no está activada'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        error: 'Código de verificación incorrecto',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorRecoveryCode.regenerate(
+      user.id,
+      securityConfig.twoFactor.recoveryCodesCount
+    );
+
+    res.json({
+      message: 'Códigos de recuperación regenerados',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,65 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { User, Task, TimeClock } = require('../models');
+const { body, param, query, validationResult } = require('express-validator');
+const { User, Task, Team, Store, TimeClock, UserSession, TwoFactorRecoveryCode, SecurityEvent, Impersonation, ImpersonationRequest, sequelize } = require('../models');
 const { Op, fn, col } = require('sequelize');
-const { authenticateToken, requireJefe, requireOwnerOrJefe } = require('../middleware/auth');
+const { ROLES, SUPERUSER_ROLE } = require('../config/permissions');
+const { authenticateToken, requirePermission, requireOwnerOrPermission, requirePermissionOrTeamSupervisor } = require('../middleware/auth');
+const { normalizeId, isValidNifOrNie, isValidSocialSecurityNumber } = require('../utils/spanishIds');
+const { createZip } = require('../utils/zip');
+const { buildUserExport, getRetentionEndDate, anonymizeUser } = require('../services/privacy');
+const { IMPORT_MODES, parseUserCsv, validateImportRows, createImportedUsers } = require('../services/userImport');
+const { toCsv } = require('../utils/csv');
+const { toLocalDate, addDays, startOfLocalDay, endOfLocalDay } = require('../utils/dates');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
 
 const router = express.Router();
 
+// Validez del enlace para elegir contraseña de las cuentas importadas
+const IMPORT_LINK_TTL_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS, 10) || 7;
+
+// Columnas del CSV de usuarios (las cinco primeras son las que admite la importación)
+const ROSTER_COLUMNS = [
+  'name', 'username', 'email', 'role', 'weekly_contract_hours',
+  'id', 'is_active', 'contract_type', 'work_days', 'hire_date', 'termination_date', 'phone', 'last_login'
+];
+
 // Todas las rutas requieren autenticación
 router.use(authenticateToken);
 
+// Los datos sensibles (NIF/NIE, NSS, contacto de emergencia) solo los ve el propio
+// usuario o quien tenga el permiso users.sensitive
+const canViewSensitive = async (req, userId) => {
+  return parseInt(userId) === req.user.id || await req.user.hasPermission('users.sensitive');
+};
+
+// Atributos excluidos de las respuestas según quién consulte
+const hiddenAttributes = (includeSensitive) => (
+  includeSensitive ? User.PRIVATE_ATTRIBUTES : [...User.PRIVATE_ATTRIBUTES, ...User.SENSITIVE_ATTRIBUTES]
+);
+
+// Campos del perfil laboral y quién puede modificarlos en PUT /api/users/:id
+const EMPLOYMENT_FIELDS = ['contract_type', 'weekly_contract_hours', 'work_days', 'hire_date', 'termination_date', 'phone'];
+const IDENTITY_FIELDS = ['tax_id', 'social_security_number'];
+const EMERGENCY_CONTACT_FIELDS = ['emergency_contact_name', 'emergency_contact_phone'];
+
+// Copiar a updateData los campos indicados que vengan en el body
+const pickFields = (source, fields, target) => {
+  fields.forEach(field => {
+    if (source[field] !== undefined) target[field] = source[field] === '' ? null : source[field];
+  });
+};
+
 // @route   GET /api/users
-// @desc    Obtener lista de usuarios (solo jefe)
-// @access  Private (Jefe)
-router.get('/', requireJefe, async (req, res) => {
+// @desc    Obtener lista de usuarios
+// @access  Private (users.view)
+router.get('/', requirePermission('users.view'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, active } = req.query;
+    const { page = 1, limit = 10, role, active, team_id } = req.query;
     
     const offset = (page - 1) * limit;
-    const where = {};
+    // Solo los usuarios de la tienda activa
+    const where = User.storeFilter(req.auth.storeId);
     
     if (role) {
       where.role = role;
@@ -27,9 +69,20 @@ router.get('/', requireJefe, async (req, res) => {
       where.is_active = active === 'true';
     }
 
+    if (team_id) {
+      const team = await Team.findInStore(team_id, req.auth.storeId);
+      if (!team) {
+        return res.status(404).json({
+          error: 'Equipo no encontrado'
+        });
+      }
+      // Ambos filtros son sobre id: se combinan con AND
+      where[Op.and] = [Team.memberFilter(team.id)];
+    }
+
     const { count, rows: users } = await User.findAndCountAll({
       where,
-      attributes: { exclude: ['password_hash'] },
+      attributes: { exclude: hiddenAttributes(await req.user.hasPermission('users.sensitive')) },
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['created_at', 'DESC']],
@@ -39,7 +92,7 @@ router.get('/', requireJefe, async (req, res) => {
           as: 'assignedTasks',
           attributes: ['id', 'title', 'status'],
           required: false,
-          where: { status: ['pendiente', 'en_progreso'] }
+          where: { status: ['pendiente', 'en_progreso'], store_id: req.auth.storeId }
         }
       ]
     });
@@ -62,25 +115,178 @@ router.get('/', requireJefe, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/export
+// @desc    Exportar la plantilla de la tienda activa en CSV
+// @access  Private (users.view)
+router.get('/export', requirePermission('users.view'), async (req, res) => {
+  try {
+    const where = User.storeFilter(req.auth.storeId);
+    if (req.query.active !== undefined) {
+      where.is_active = req.query.active === 'true';
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ROSTER_COLUMNS,
+      order: [['name', 'ASC']]
+    });
+
+    const csv = toCsv(ROSTER_COLUMNS, users.map(user => ROSTER_COLUMNS.map(column => (
+      column === 'work_days' && user.work_days ? user.work_days.join(' ') : user[column]
+    ))));
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="usuarios-${toLocalDate(new Date(), req.user.preferences.timezone)}.csv"`
+    });
+    // BOM para que Excel reconozca el UTF-8 (acentos y eñes)
+    res.send(`\uFEFF${csv}`);
+
+  } catch (error) {
+    console.error('Error exportando usuarios:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/import
+// @desc    Dar de alta usuarios desde un CSV (name, username, email, role, weekly_contract_hours).
+//          Con ?dry_run=true solo valida; si alguna fila es inválida no se crea ninguna cuenta
+// @access  Private (users.manage e invitations.manage)
+router.post('/import', [
+  requirePermission('users.manage', 'invitations.manage'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  query('dry_run').optional().isBoolean().withMessage('dry_run debe ser verdadero o falso'),
+  query('mode').optional().isIn(IMPORT_MODES).withMessage(`El modo debe ser: ${IMPORT_MODES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    // El CSV puede llegar como cuerpo text/csv o en el campo "csv" de un JSON
+    const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!csvText) {
+      return res.status(400).json({
+        error: 'Debe enviar el CSV como cuerpo text/csv o en el campo csv'
+      });
+    }
+
+    const dryRun = req.query.dry_run === 'true';
+    const mode = req.query.mode || 'invitation';
+
+    let rows;
+    try {
+      rows = parseUserCsv(csvText);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const report = await validateImportRows(rows, {
+      canAssignRoles: await req.user.hasPermission('roles.manage'),
+      canAssignSuperuser: req.user.canAssignRole(SUPERUSER_ROLE)
+    });
+    const summary = {
+      total_rows: report.length,
+      valid_rows: report.filter(row => row.valid).length,
+      invalid_rows: report.filter(row => !row.valid).length
+    };
+
+    if (dryRun) {
+      return res.json({
+        message: 'Validación completada. No se ha creado ninguna cuenta',
+        dry_run: true,
+        ...summary,
+        rows: report
+      });
+    }
+
+    if (summary.invalid_rows > 0 || summary.total_rows === 0) {
+      return res.status(400).json({
+        error: summary.total_rows === 0
+          ? 'El CSV no contiene usuarios'
+          : 'El CSV contiene errores. No se ha creado ninguna cuenta',
+        ...summary,
+        rows: report.filter(row => !row.valid)
+      });
+    }
+
+    const accounts = await createImportedUsers(rows, {
+      mode,
+      storeId: req.auth.storeId,
+      requestedIp: req.ip,
+      linkExpiresInDays: IMPORT_LINK_TTL_DAYS
+    });
+
+    // Los correos se envían una vez confirmadas todas las altas
+    if (mode === 'invitation') {
+      for (const { user, token } of accounts) {
+        await sendMail({
+          to: user.email,
+          ...mailTemplates.accountCreated({
+            name: user.name,
+            username: user.username,
+            token,
+            expiresInDays: IMPORT_LINK_TTL_DAYS,
+            locale: user.preferences.locale
+          })
+        });
+      }
+    }
+
+    // Las contraseñas temporales solo se devuelven en esta respuesta
+    res.status(201).json({
+      message: `${accounts.length} usuarios creados exitosamente`,
+      mode,
+      users: accounts.map(({ user, temporaryPassword }) => ({
+        ...user.toSafeObject(),
+        ...(temporaryPassword && { temporary_password: temporaryPassword })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error importando usuarios:', error);
+
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        error: 'Algún usuario o email se ha registrado mientras tanto. Vuelve a validar el CSV'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Obtener usuario específico
-// @access  Private (Propietario o Jefe)
-router.get('/:id', requireOwnerOrJefe, async (req, res) => {
+// @access  Private (Propietario o users.view)
+router.get('/:id', requireOwnerOrPermission('users.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const user = await User.findByPk(id, {
-      attributes: { exclude: ['password_hash'] },
+    const user = await User.findInStore(id, req.auth.storeId, {
+      attributes: { exclude: hiddenAttributes(await canViewSensitive(req, id)) },
       include: [
         {
           model: Task,
           as: 'assignedTasks',
-          attributes: ['id', 'title', 'status', 'priority', 'due_date', 'estimated_hours', 'actual_hours']
+          attributes: ['id', 'title', 'status', 'priority', 'due_date', 'estimated_hours', 'actual_hours'],
+          where: { store_id: req.auth.storeId },
+          required: false
         },
         {
           model: TimeClock,
           as: 'timeClocks',
           attributes: ['id', 'date', 'clock_in_time', 'clock_out_time', 'total_hours'],
+          where: { store_id: req.auth.storeId },
+          required: false,
           limit: 7,
           order: [['date', 'DESC']]
         }
@@ -105,9 +311,9 @@ router.get('/:id', requireOwnerOrJefe, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Actualizar usuario
-// @access  Private (Propietario o Jefe)
+// @access  Private (Propietario o users.manage)
 router.put('/:id', [
-  requireOwnerOrJefe,
+  requireOwnerOrPermission('users.manage'),
   body('name')
     .optional()
     .isLength({ min: 2, max: 100 })
@@ -121,7 +327,60 @@ router.put('/:id', [
     .isLength({ min: 3, max: 50 })
     .withMessage('El nombre de usuario debe tener entre 3 y 50 caracteres')
     .isAlphanumeric()
-    .withMessage('El nombre de usuario solo puede contener letras y números')
+    .withMessage('El nombre de usuario solo puede contener letras y números'),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage('El rol debe ser jefe, encargado o trabajador'),
+  body('must_change_password')
+    .optional()
+    .isBoolean()
+    .withMessage('must_change_password debe ser verdadero o falso'),
+  body('contract_type')
+    .optional({ nullable: true })
+    .isIn(User.CONTRACT_TYPES)
+    .withMessage(`El tipo de contrato debe ser: ${User.CONTRACT_TYPES.join(', ')}`),
+  body('weekly_contract_hours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 40 })
+    .withMessage('Las horas semanales deben estar entre 0 y 40'),
+  body('work_days')
+    .optional({ nullable: true })
+    .isArray({ max: 7 })
+    .withMessage('work_days debe ser una lista de días'),
+  body('work_days.*')
+    .isInt({ min: 1, max: 7 })
+    .withMessage('Los días laborables deben estar entre 1 (lunes) y 7 (domingo)')
+    .toInt(),
+  body('hire_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de alta debe ser una fecha válida'),
+  body('termination_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de baja debe ser una fecha válida'),
+  body('phone')
+    .optional({ nullable: true })
+    .matches(/^\+?[0-9 ]{9,20}$/)
+    .withMessage('Debe proporcionar un teléfono válido'),
+  body('tax_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom(value => isValidNifOrNie(value))
+    .withMessage('El NIF/NIE no es válido (revisa la letra de control)'),
+  body('social_security_number')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom(value => isValidSocialSecurityNumber(value))
+    .withMessage('El número de la Seguridad Social no es válido (revisa los dígitos de control)'),
+  body('emergency_contact_name')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('El nombre del contacto de emergencia no puede superar 100 caracteres')
+    .trim(),
+  body('emergency_contact_phone')
+    .optional({ nullable: true })
+    .matches(/^\+?[0-9 ]{9,20}$/)
+    .withMessage('Debe proporcionar un teléfono de emergencia válido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -133,21 +392,61 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { name, email, username, is_active, role } = req.body;
+    const { name, email, username, is_active, role, must_change_password } = req.body;
 
-    const user = await User.findByPk(id);
+    const user = await User.findInStore(id, req.auth.storeId);
     if (!user) {
       return res.status(404).json({
         error: 'Usuario no encontrado'
       });
     }
 
-    // Solo el jefe puede cambiar rol y estado activo
+    if (user.anonymized_at) {
+      return res.status(409).json({
+        error: 'El usuario está anonimizado y no se puede modificar'
+      });
+    }
+
+    // La cuenta de un jefe solo la modifica él mismo u otro jefe
+    const isOwner = parseInt(id) === req.user.id;
+    if (!isOwner && !req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    // Rol, estado activo y datos laborales solo los cambia quien tenga permisos para ello
+    const canManage = await req.user.hasPermission('users.manage');
+    const canEditSensitive = await req.user.hasPermission('users.sensitive');
     const updateData = { name, email, username };
-    if (req.user.role === 'jefe') {
-      if (role !== undefined) updateData.role = role;
+    if (role !== undefined && role !== user.role && await req.user.hasPermission('roles.manage')) {
+      if (isOwner) {
+        return res.status(403).json({
+          error: 'No puedes cambiar tu propio rol'
+        });
+      }
+      if (!req.user.canAssignRole(role)) {
+        return res.status(403).json({
+          error: 'Solo un jefe puede conceder el rol de jefe'
+        });
+      }
+      updateData.role = role;
+    }
+    if (canManage) {
+      pickFields(req.body, EMPLOYMENT_FIELDS, updateData);
+    }
+    // El NIF/NIE y el NSS solo los modifica quien tenga users.sensitive;
+    // el contacto de emergencia también lo puede cambiar el propio usuario
+    if (canEditSensitive) {
+      pickFields(req.body, IDENTITY_FIELDS, updateData);
+    }
+    if (isOwner || canEditSensitive) {
+      pickFields(req.body, EMERGENCY_CONTACT_FIELDS, updateData);
+    }
+    if (canManage) {
+      if (must_change_password !== undefined) updateData.must_change_password = must_change_password;
       if (is_active !== undefined) {
-        // Evitar que el jefe se desactive a sí mismo
+        // Evitar que un usuario se desactive a sí mismo
         if (parseInt(id) === req.user.id && is_active === false) {
           return res.status(400).json({
             error: 'No puedes desactivar tu propia cuenta'
@@ -176,11 +475,55 @@ router.put('/:id', [
       }
     }
 
+    if (updateData.tax_id) {
+      const existingTaxId = await User.findOne({
+        where: { tax_id: normalizeId(updateData.tax_id), id: { [Op.ne]: user.id } }
+      });
+      if (existingTaxId) {
+        return res.status(409).json({
+          error: 'Este NIF/NIE ya está registrado'
+        });
+      }
+    }
+
+    const hireDate = updateData.hire_date !== undefined ? updateData.hire_date : user.hire_date;
+    const terminationDate = updateData.termination_date !== undefined ? updateData.termination_date : user.termination_date;
+    if (hireDate && terminationDate && new Date(terminationDate) < new Date(hireDate)) {
+      return res.status(400).json({
+        error: 'La fecha de baja no puede ser anterior a la fecha de alta'
+      });
+    }
+
+    // Un cambio de rol o una desactivación invalida las sesiones abiertas
+    const previousRole = user.role;
+    const roleChanged = updateData.role !== undefined && updateData.role !== previousRole;
+    const activeChanged = updateData.is_active !== undefined && updateData.is_active !== user.is_active;
+    const mustRevokeSessions = roleChanged || (activeChanged && updateData.is_active === false);
+
     await user.update(updateData);
 
+    if (mustRevokeSessions) {
+      await user.revokeAllSessions();
+    }
+
+    if (roleChanged) {
+      await SecurityEvent.record('role_changed', req, {
+        userId: user.id,
+        actorId: req.user.id,
+        details: { from: previousRole, to: user.role }
+      });
+    }
+
+    if (activeChanged) {
+      await SecurityEvent.record(user.is_active ? 'user_reactivated' : 'user_deactivated', req, {
+        userId: user.id,
+        actorId: req.user.id
+      });
+    }
+
     res.json({
       message: 'Usuario actualizado exitosamente',
-      user: user.toSafeObject()
+      user: user.toSafeObject({ includeSensitive: isOwner || canEditSensitive })
     });
 
   } catch (error) {
@@ -192,9 +535,9 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Desactivar usuario (solo jefe)
-// @access  Private (Jefe)
-router.delete('/:id', requireJefe, async (req, res) => {
+// @desc    Desactivar usuario
+// @access  Private (users.manage)
+router.delete('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -205,15 +548,30 @@ router.delete('/:id', requireJefe, async (req, res) => {
       });
     }
 
-    const user = await User.findByPk(id);
+    const user = await User.findInStore(id, req.auth.storeId);
     if (!user) {
       return res.status(404).json({
         error: 'Usuario no encontrado'
       });
     }
 
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede desactivar a otro jefe'
+      });
+    }
+
     // Desactivar en lugar de eliminar para mantener integridad referencial
+    const wasActive = user.is_active;
     await user.update({ is_active: false });
+    await user.revokeAllSessions();
+
+    if (wasActive) {
+      await SecurityEvent.record('user_deactivated', req, {
+        userId: user.id,
+        actorId: req.user.id
+      });
+    }
 
     res.json({
       message: 'Usuario desactivado exitosamente'
@@ -227,29 +585,599 @@ router.delete('/:id', requireJefe, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/export
+// @desc    Exportar todos los datos personales del usuario (perfil, tareas, fichajes,
+//          registros de tiempo e historial de seguridad) en JSON o ZIP
+// @access  Private (Propietario o users.privacy)
+router.get('/:id/export', [
+  requireOwnerOrPermission('users.privacy'),
+  query('format').optional().isIn(['json', 'zip']).withMessage('El formato debe ser json o zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const data = await buildUserExport(user);
+    const filename = `datos-usuario-${user.id}-${toLocalDate(new Date(), req.user.preferences.timezone)}`;
+
+    await SecurityEvent.record('data_exported', req, {
+      userId: user.id,
+      actorId: user.id === req.user.id ? null : req.user.id,
+      details: { format: req.query.format || 'json' }
+    });
+
+    if (req.query.format === 'zip') {
+      // Un archivo JSON por sección
+      const archive = createZip(Object.entries(data).map(([section, content]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(content, null, 2)
+      })));
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}.zip"`
+      });
+      return res.send(archive);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
+
+  } catch (error) {
+    console.error('Error exportando datos del usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/anonymize
+// @desc    Anonimizar a un usuario dado de baja una vez cumplido el periodo de conservación.
+//          Conserva sus fichajes y registros de tiempo sin datos personales. Irreversible
+// @access  Private (users.privacy)
+router.post('/:id/anonymize', [
+  requirePermission('users.privacy'),
+  body('confirm')
+    .equals('true')
+    .withMessage('La anonimización es irreversible: envía confirm: true para continuar')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        error: 'No puedes anonimizar tu propia cuenta'
+      });
+    }
+
+    const user = await User.findInStore(id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.anonymized_at) {
+      return res.status(409).json({
+        error: 'El usuario ya está anonimizado'
+      });
+    }
+
+    if (user.is_active) {
+      return res.status(400).json({
+        error: 'Desactiva al usuario antes de anonimizarlo'
+      });
+    }
+
+    const retentionEnd = await getRetentionEndDate(user);
+    if (!retentionEnd) {
+      return res.status(409).json({
+        error: 'Indica la fecha de baja del usuario (termination_date) antes de anonimizarlo',
+        code: 'TERMINATION_DATE_REQUIRED'
+      });
+    }
+
+    if (retentionEnd > new Date()) {
+      return res.status(409).json({
+        error: 'Aún no ha terminado el periodo legal de conservación de los datos',
+        code: 'RETENTION_PERIOD_ACTIVE',
+        retention_until: retentionEnd.toISOString().split('T')[0]
+      });
+    }
+
+    await anonymizeUser(user);
+
+    await SecurityEvent.record('user_anonymized', req, {
+      userId: user.id,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Usuario anonimizado exitosamente. Se conservan sus fichajes y registros de tiempo',
+      user: user.toSafeObject()
+    });
+
+  } catch (error) {
+    console.error('Error anonimizando usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/revoke-sessions
+// @desc    Cerrar todas las sesiones de un usuario (p. ej. móvil perdido)
+// @access  Private (users.security)
+router.post('/:id/revoke-sessions', requirePermission('users.security'), async (req, res) => {
+  try {
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    await user.revokeAllSessions();
+
+    res.json({
+      message: 'Todas las sesiones del usuario han sido cerradas'
+    });
+
+  } catch (error) {
+    console.error('Error revocando sesiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/kiosk-pin
+// @desc    Establecer el PIN personal para fichar en el terminal compartido
+// @access  Private (Propietario o users.manage)
+router.put('/:id/kiosk-pin', [
+  requireOwnerOrPermission('users.manage'),
+  body('pin')
+    .matches(/^\d{4,8}$/)
+    .withMessage('El PIN debe tener entre 4 y 8 dígitos')
+    .custom(pin => {
+      // Rechazar PINs triviales: todos iguales o consecutivos
+      const digits = pin.split('').map(Number);
+      const allEqual = digits.every(d => d === digits[0]);
+      const ascending = digits.every((d, i) => i === 0 || d === digits[i - 1] + 1);
+      const descending = digits.every((d, i) => i === 0 || d === digits[i - 1] - 1);
+      if (allEqual || ascending || descending) {
+        throw new Error('El PIN es demasiado fácil de adivinar');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.id !== req.user.id && !req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    await user.setKioskPin(req.body.pin);
+    await user.save({ fields: ['kiosk_pin_hash'] });
+
+    res.json({
+      message: 'PIN de fichaje actualizado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error actualizando PIN de fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/badge
+// @desc    Generar un código de tarjeta/QR para fichar (invalida el anterior)
+// @access  Private (users.manage)
+router.post('/:id/badge', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    const badgeCode = user.regenerateBadgeCode();
+    await user.save({ fields: ['badge_code_hash'] });
+
+    // El código solo se devuelve en esta respuesta (para imprimir la tarjeta o el QR)
+    res.json({
+      message: 'Código de fichaje generado exitosamente',
+      badge_code: badgeCode
+    });
+
+  } catch (error) {
+    console.error('Error generando código de fichaje:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Desbloquear una cuenta bloqueada por intentos de login fallidos
+// @access  Private (users.security)
+router.post('/:id/unlock', requirePermission('users.security'), async (req, res) => {
+  try {
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    await user.unlock();
+
+    res.json({
+      message: 'Cuenta desbloqueada exitosamente',
+      user: user.toSafeObject()
+    });
+
+  } catch (error) {
+    console.error('Error desbloqueando usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/two-factor
+// @desc    Restablecer la verificación en dos pasos de un usuario (p. ej. móvil perdido)
+// @access  Private (users.security)
+router.delete('/:id/two-factor', requirePermission('users.security'), async (req, res) => {
+  try {
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede restablecer la verificación en dos pasos de otro jefe'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      user.two_factor_enabled = false;
+      user.two_factor_secret = null;
+      user.two_factor_last_step = null;
+      await user.save({ transaction });
+      await TwoFactorRecoveryCode.destroy({ where: { user_id: user.id }, transaction });
+      await user.revokeAllSessions({ transaction });
+    });
+
+    res.json({
+      message: 'Verificación en dos pasos restablecida. El usuario deberá configurarla de nuevo'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/sessions
+// @desc    Listar las sesiones activas de un usuario
+// @access  Private (users.security)
+router.get('/:id/sessions', requirePermission('users.security'), async (req, res) => {
+  try {
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    const sessions = await UserSession.getActiveSessions(user.id);
+
+    res.json({
+      user: { id: user.id, name: user.name, username: user.username },
+      sessions: sessions.map(session => session.toPublicObject(req.auth.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo sesiones del usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Cerrar una sesión concreta de un usuario
+// @access  Private (users.security)
+router.delete('/:id/sessions/:sessionId', [
+  requirePermission('users.security'),
+  param('sessionId')
+    .isUUID()
+    .withMessage('ID de sesión inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!req.user.canManageAccountOf(user)) {
+      return res.status(403).json({
+        error: 'Solo un jefe puede modificar la cuenta de otro jefe'
+      });
+    }
+
+    const session = await UserSession.findOne({
+      where: { id: req.params.sessionId, user_id: user.id }
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada'
+      });
+    }
+
+    await session.revoke();
+
+    res.json({
+      message: 'Sesión cerrada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión del usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/security-events
+// @desc    Historial de eventos de seguridad de un usuario (logins, contraseñas, rol...)
+// @access  Private (Propietario o users.security)
+router.get('/:id/security-events', [
+  requireOwnerOrPermission('users.security'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('event_type').optional().isIn(SecurityEvent.EVENT_TYPES),
+  query('success').optional().isBoolean(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const { page = 1, limit = 20, event_type, success, startDate, endDate } = req.query;
+    const offset = (page - 1) * limit;
+    const where = { user_id: user.id };
+
+    if (event_type) where.event_type = event_type;
+    if (success !== undefined) where.success = success === 'true';
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) where.created_at[Op.gte] = new Date(startDate);
+      if (endDate) where.created_at[Op.lte] = new Date(endDate);
+    }
+
+    const { count, rows: events } = await SecurityEvent.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'name', 'username']
+        }
+      ]
+    });
+
+    res.json({
+      user: { id: user.id, name: user.name, username: user.username },
+      events,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(count / limit),
+        total_items: count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo eventos de seguridad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/:id/impersonations
+// @desc    Suplantaciones en las que el usuario actuó como otro o fue suplantado,
+//          con cada petición realizada durante ellas
+// @access  Private (Propietario o users.security)
+router.get('/:id/impersonations', [
+  requireOwnerOrPermission('users.security'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Parámetros inválidos', details: errors.array() });
+    }
+
+    const user = await User.findInStore(req.params.id, req.auth.storeId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: impersonations } = await Impersonation.findAndCountAll({
+      where: {
+        store_id: req.auth.storeId,
+        [Op.or]: [{ user_id: user.id }, { actor_id: user.id }]
+      },
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [
+        ['created_at', 'DESC'],
+        [{ model: ImpersonationRequest, as: 'requests' }, 'created_at', 'ASC']
+      ],
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'name', 'username']
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'username']
+        },
+        {
+          model: ImpersonationRequest,
+          as: 'requests',
+          attributes: ['id', 'method', 'path', 'query', 'status_code', 'confirmed', 'created_at']
+        }
+      ]
+    });
+
+    res.json({
+      user: { id: user.id, name: user.name, username: user.username },
+      impersonations,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(count / limit),
+        total_items: count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo suplantaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 // @route   GET /api/users/:id/stats
 // @desc    Obtener estadísticas del usuario
-// @access  Private (Propietario o Jefe)
-router.get('/:id/stats', requireOwnerOrJefe, async (req, res) => {
+// @access  Private (Propietario o users.view)
+router.get('/:id/stats', requireOwnerOrPermission('users.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { startDate, endDate } = req.query;
 
-    // Configurar rango de fechas (por defecto último mes)
-    const end = endDate ? new Date(endDate) : new Date();
-    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-    const user = await User.findByPk(id);
+    const user = await User.findInStore(id, req.auth.storeId);
     if (!user) {
       return res.status(404).json({
         error: 'Usuario no encontrado'
       });
     }
 
+    // Configurar rango de fechas (por defecto último mes) en días locales de la tienda
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const endDay = endDate ? String(endDate).split('T')[0] : toLocalDate(new Date(), timezone);
+    const startDay = startDate ? String(startDate).split('T')[0] : addDays(endDay, -30);
+    const start = startOfLocalDay(startDay, timezone);
+    const end = endOfLocalDay(endDay, timezone);
+
     // Estadísticas de tareas - CORREGIDO para incluir rango de fechas
     const taskStats = await Task.findAll({
       where: { 
         assigned_to: id,
+        store_id: req.auth.storeId,
         // Filtrar por tareas completadas en el período
         [Op.or]: [
           { status: ['pendiente', 'en_progreso'] }, // Tareas actuales
@@ -268,25 +1196,17 @@ router.get('/:id/stats', requireOwnerOrJefe, async (req, res) => {
       raw: true
     });
 
-    // Estadísticas de fichajes - CORREGIDO para días únicos
-    const timeClockStats = await TimeClock.findAll({
-      where: {
-        user_id: id,
-        date: {
-          [Op.between]: [start, end]
-        },
-        total_hours: { [Op.gt]: 0 } // Solo días con horas registradas
-      },
-      attributes: [
-        [fn('COUNT', fn('DISTINCT', col('date'))), 'days_worked'], // Días únicos
-        [fn('SUM', col('total_hours')), 'total_hours']
-        // Promedio se calculará manualmente: total_hours / days_worked
-      ],
-      raw: true
-    });
+    // Estadísticas de fichajes por día local: un turno nocturno reparte sus horas entre los dos días
+    const hoursByDay = (await TimeClock.getDailyHours(
+      { user_id: user.id, store_id: req.auth.storeId }, startDay, endDay, timezone
+    ))[user.id] || {};
+    const workedDays = Object.values(hoursByDay).filter(hours => hours > 0); // Solo días con horas registradas
 
     // Calcular promedio correcto: total horas / días únicos
-    const timeStats = timeClockStats[0] || { days_worked: 0, total_hours: 0 };
+    const timeStats = {
+      days_worked: workedDays.length,
+      total_hours: Math.round(workedDays.reduce((total, hours) => total + hours, 0) * 100) / 100
+    };
     const avgHoursPerDay = timeStats.days_worked > 0 
       ? parseFloat(timeStats.total_hours) / parseInt(timeStats.days_worked)
       : 0;
@@ -296,7 +1216,7 @@ router.get('/:id/stats', requireOwnerOrJefe, async (req, res) => {
 
     // Estadísticas adicionales para debug
     const totalTasksAssigned = await Task.count({
-      where: { assigned_to: id }
+      where: { assigned_to: id, store_id: req.auth.storeId }
     });
 
     const totalDaysInPeriod = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
@@ -331,23 +1251,42 @@ router.get('/:id/stats', requireOwnerOrJefe, async (req, res) => {
 });
 
 // @route   GET /api/users/workers/summary
-// @desc    Resumen de todos los trabajadores (solo jefe)
-// @access  Private (Jefe)
-router.get('/workers/summary', requireJefe, async (req, res) => {
+// @desc    Resumen de todos los trabajadores (con ?team_id, solo los miembros de ese equipo)
+// @access  Private (users.view o responsable del equipo indicado)
+router.get('/workers/summary', requirePermissionOrTeamSupervisor('users.view'), async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const where = { ...User.storeFilter(req.auth.storeId), role: 'trabajador', is_active: true };
+
+    let team = null;
+    if (req.query.team_id) {
+      team = await Team.findInStore(req.query.team_id, req.auth.storeId, { attributes: ['id', 'name'] });
+      if (!team) {
+        return res.status(404).json({
+          error: 'Equipo no encontrado'
+        });
+      }
+      where[Op.and] = [Team.memberFilter(team.id)];
+    }
     
     const workers = await User.findAll({
-      where: { role: 'trabajador', is_active: true },
-      attributes: { exclude: ['password_hash'] }
+      where,
+      attributes: { exclude: hiddenAttributes(false) }
     });
 
+    // "Hoy" en la zona horaria de la tienda
+    const timezone = await Store.getTimeZone(req.auth.storeId);
+    const today = toLocalDate(new Date(), timezone);
+    const todayHours = await TimeClock.getDailyHours(
+      { user_id: workers.map(worker => worker.id), store_id: req.auth.storeId }, today, today, timezone
+    );
+
     // Procesar cada trabajador para obtener estadísticas completas
     const summary = await Promise.all(workers.map(async (worker) => {
       // Tareas activas (pendientes + en progreso)
       const activeTasks = await Task.findAll({
         where: { 
           assigned_to: worker.id,
+          store_id: req.auth.storeId,
           status: ['pendiente', 'en_progreso']
         },
         attributes: ['id', 'status']
@@ -357,35 +1296,24 @@ router.get('/workers/summary', requireJefe, async (req, res) => {
       const completedTasks = await Task.findAll({
         where: { 
           assigned_to: worker.id,
+          store_id: req.auth.storeId,
           status: 'completada'
         },
         attributes: ['id']
       });
 
-      // Fichaje activo de hoy
+      // Fichaje activo (también un turno nocturno abierto ayer)
       const activeTimeClock = await TimeClock.findOne({
         where: {
           user_id: worker.id,
-          date: today,
+          store_id: req.auth.storeId,
           clock_out_time: null
         },
         attributes: ['id', 'clock_in_time']
       });
 
       // Horas de fichaje de hoy (solo registros completos con clock_out_time)
-      const todayTimeClocks = await TimeClock.findAll({
-        where: {
-          user_id: worker.id,
-          date: today,
-          clock_out_time: { [Op.not]: null } // Solo registros cerrados
-        },
-        attributes: ['total_hours']
-      });
-
-      // Calcular horas totales de fichaje de hoy
-      const totalHoursToday = todayTimeClocks.reduce(
-        (total, clock) => total + (clock.total_hours || 0), 0
-      );
+      const totalHoursToday = (todayHours[worker.id] || {})[today] || 0;
 
       return {
         id: worker.id,
@@ -401,6 +1329,7 @@ router.get('/workers/summary', requireJefe, async (req, res) => {
     }));
 
     res.json({
+      team,
       workers: summary,
       total_workers: summary.length,
       clocked_in: summary.filter(w => w.is_clocked_in).length
@@ -15,6 +15,7 @@ module.exports = {
         role: 'jefe',
         name: 'Administrador del Sistema',
         is_active: true,
+        must_change_password: true,
         created_at: new Date(),
         updated_at: new Date()
       },
@@ -25,6 +26,7 @@ module.exports = {
         role: 'trabajador',
         name: 'Juan Pérez',
         is_active: true,
+        must_change_password: true,
         created_at: new Date(),
         updated_at: new Date()
       },
@@ -35,13 +37,24 @@ module.exports = {
         role: 'trabajador',
         name: 'María García',
         is_active: true,
+        must_change_password: true,
         created_at: new Date(),
         updated_at: new Date()
       }
     ], {});
+
+    // Los usuarios de prueba pertenecen a la tienda principal (creada en las migraciones)
+    await queryInterface.sequelize.query(
+      `INSERT INTO store_memberships (store_id, user_id, created_at)
+       SELECT stores.id, users.id, NOW()
+       FROM users CROSS JOIN stores
+       WHERE stores.code = 'principal' AND users.username IN ('jefe', 'juan', 'maria')
+       ON CONFLICT DO NOTHING;`
+    );
   },
 
   async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('store_memberships', null, {});
     await queryInterface.bulkDelete('users', null, {});
   }
 }; 
\ No newline at end of file
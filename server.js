@@ -7,13 +7,24 @@ require('dotenv').config();
 
 // Importar rutas
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
 const timeTrackRoutes = require('./routes/timetrack');
+const invitationRoutes = require('./routes/invitations');
+const kioskRoutes = require('./routes/kiosk');
+const roleRoutes = require('./routes/roles');
+const storeRoutes = require('./routes/stores');
+const apiKeyRoutes = require('./routes/apiKeys');
+const teamRoutes = require('./routes/teams');
 
 // Importar base de datos
 const { sequelize } = require('./models');
 
+// Tareas periódicas
+const { startAutoCloseScheduler } = require('./services/autoClose');
+let stopAutoCloseScheduler = () => {};
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -52,10 +63,17 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Rutas principales
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/timetrack', timeTrackRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Ruta de salud
 app.get('/api/health', (req, res) => {
@@ -107,6 +125,9 @@ async function startServer() {
       console.log(`🌐 URL: http://localhost:${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     });
+
+    // Cierre automático de fichajes olvidados
+    stopAutoCloseScheduler = startAutoCloseScheduler();
     
   } catch (error) {
     console.error('❌ Error al inicializar el servidor:', error);
@@ -117,12 +138,14 @@ async function startServer() {
 // Manejo graceful de shutdown
 process.on('SIGTERM', async () => {
   console.log('🔄 Cerrando servidor...');
+  stopAutoCloseScheduler();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🔄 Cerrando servidor...');
+  stopAutoCloseScheduler();
   await sequelize.close();
   process.exit(0);
 });
@@ -0,0 +1,139 @@
+const { TimeClock, User, Store, sequelize } = require('../models');
+const { sendMail } = require('./mail');
+const mailTemplates = require('./mail/templates');
+const { SUPERUSER_ROLE } = require('../config/permissions');
+const { autoClose } = require('../config/timeTracking');
+
+// ========================================
+// CIERRE AUTOMÁTICO DE FICHAJES OLVIDADOS
+// ========================================
+
+// Solo se avisa por correo a quien lo tiene activado en sus preferencias
+const wantsEmail = (user) => Boolean(user.is_active && user.email && user.preferences.notifications.email);
+
+// Avisar al trabajador y a los jefes de la tienda. Un fallo de correo no deshace el cierre
+const notifyAutoClosed = async (clock, worker, store) => {
+  const bosses = await User.findAll({
+    where: {
+      ...User.storeFilter(store.id),
+      role: SUPERUSER_ROLE,
+      is_active: true
+    }
+  });
+
+  const details = {
+    storeName: store.name,
+    clockInTime: clock.clock_in_time,
+    clockOutTime: clock.clock_out_time
+  };
+
+  if (wantsEmail(worker)) {
+    await sendMail({
+      to: worker.email,
+      ...mailTemplates.clockAutoClosed({
+        ...details,
+        name: worker.name,
+        timeZone: worker.preferences.timezone,
+        locale: worker.preferences.locale
+      })
+    });
+  }
+
+  for (const boss of bosses.filter(boss => boss.id !== worker.id && wantsEmail(boss))) {
+    await sendMail({
+      to: boss.email,
+      ...mailTemplates.clockAutoClosedReview({
+        ...details,
+        name: boss.name,
+        workerName: worker.name,
+        timeZone: boss.preferences.timezone,
+        locale: boss.preferences.locale
+      })
+    });
+  }
+};
+
+// Cerrar los fichajes abiertos que ya han pasado su hora de cierre (ver TimeClock.getAutoCloseTimes).
+// Devuelve los fichajes cerrados
+const closeForgottenClocks = async (now = new Date()) => {
+  const openClocks = await TimeClock.findAll({
+    where: { clock_out_time: null },
+    include: [
+      { model: User, as: 'user' },
+      { model: Store, as: 'store' }
+    ],
+    order: [['clock_in_time', 'ASC']]
+  });
+
+  const closedClocks = [];
+
+  for (const openClock of openClocks) {
+    const { closeAt, dueAt } = openClock.getAutoCloseTimes(openClock.user);
+    if (dueAt > now) {
+      continue;
+    }
+
+    try {
+      // Se bloquea la fila por si el trabajador ficha la salida a la vez
+      const clock = await sequelize.transaction(async (transaction) => {
+        const locked = await TimeClock.findByPk(openClock.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!locked || locked.clock_out_time) {
+          return null;
+        }
+        return await locked.autoClose(closeAt, { transaction });
+      });
+
+      if (!clock) {
+        continue;
+      }
+
+      closedClocks.push(clock);
+      console.log(`⏰ Fichaje ${clock.id} de ${openClock.user.username} cerrado automáticamente`);
+
+      try {
+        await notifyAutoClosed(clock, openClock.user, openClock.store);
+      } catch (error) {
+        console.error(`Error avisando del cierre automático del fichaje ${clock.id}:`, error);
+      }
+    } catch (error) {
+      console.error(`Error cerrando automáticamente el fichaje ${openClock.id}:`, error);
+    }
+  }
+
+  return closedClocks;
+};
+
+// Ejecutar el cierre automático cada AUTO_CLOSE_INTERVAL_MINUTES minutos. Devuelve una función para
+// detenerlo. Si una ejecución sigue en curso cuando toca la siguiente, esta se salta
+const startAutoCloseScheduler = () => {
+  if (!autoClose.enabled) {
+    return () => {};
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await closeForgottenClocks();
+    } catch (error) {
+      console.error('Error en el cierre automático de fichajes:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, autoClose.intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  console.log(`⏰ Cierre automático de fichajes cada ${autoClose.intervalMinutes} minutos`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  closeForgottenClocks,
+  startAutoCloseScheduler
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { TimeClock, TimeClockBreak, JornadaAcknowledgement } = require('../models');
+const { toLocalDate, addDays, getIsoWeekday, getPeriodRange } = require('../utils/dates');
+const { toCsv } = require('../utils/csv');
+const { createPdf } = require('../utils/pdf');
+
+// ========================================
+// REGISTRO DE JORNADA MENSUAL
+// ========================================
+
+const WEEKDAY_NAMES = ['lun', 'mar', 'mié', 'jue', 'vie', 'sáb', 'dom'];
+
+// Marcas de los fichajes que no son un fichaje normal del trabajador
+const MARKERS = {
+  M: 'creado a mano por un responsable',
+  E: 'modificado después de fichar (ver historial)',
+  A: 'salida registrada por el cierre automático',
+  R: 'pendiente de revisión'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Hora local (HH:MM) de un instante; si cae en otro día que "day" se indica con (+n)
+const formatTime = (date, timeZone, day) => {
+  const time = new Intl.DateTimeFormat('es-ES', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(date));
+  const localDay = toLocalDate(date, timeZone);
+  if (localDay === day) {
+    return time;
+  }
+  const offset = Math.round((new Date(`${localDay}T00:00:00Z`) - new Date(`${day}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+  return `${time} (${offset > 0 ? '+' : ''}${offset})`;
+};
+
+const getClockMarkers = (clock) => [
+  clock.is_manual && 'M',
+  clock.is_edited && 'E',
+  clock.auto_closed && 'A',
+  clock.needs_review && 'R'
+].filter(Boolean).join('');
+
+// Datos de tiempo del registro, los únicos que entran en la huella que firma el trabajador: entradas,
+// salidas, pausas, horas y si el fichaje se creó o modificó a mano. La revisión de un fichaje o un
+// cambio de la ficha laboral (horas previstas y extra) no alteran lo firmado
+const getSignedTimeData = (report) => ({
+  store_id: report.store.id,
+  worker_id: report.worker.id,
+  month: report.month,
+  days: report.days.map(day => ({
+    date: day.date,
+    worked_hours: day.worked_hours,
+    entries: day.entries.map(entry => ({
+      time_clock_id: entry.time_clock_id,
+      clock_in: entry.clock_in,
+      clock_out: entry.clock_out,
+      paid_break_minutes: entry.paid_break_minutes,
+      break_minutes: entry.break_minutes,
+      total_hours: entry.total_hours,
+      manual: entry.markers.includes('M'),
+      edited: entry.markers.includes('E')
+    }))
+  }))
+});
+
+// Registro de jornada de un trabajador en una tienda y un mes (AAAA-MM), en la zona horaria de la tienda.
+// Cada fichaje aparece en el día de su entrada, salvo el turno nocturno que empezó el mes anterior, que
+// aparece el día 1 para que sus horas tengan entrada y salida; las horas de cada día se reparten como en
+// el resto de informes (un turno nocturno cuenta en los dos días). Las horas extra son las que superan la jornada
+// diaria de la ficha laboral (horas semanales / días laborables) y todas las de días no laborables
+const buildJornadaReport = async (user, store, month) => {
+  const timeZone = store.timezone;
+  const { start, end } = getPeriodRange('month', `${month}-01`);
+
+  const clocks = await TimeClock.findOverlapping({ user_id: user.id, store_id: store.id }, start, end, timeZone);
+  const breaks = clocks.length > 0
+    ? await TimeClockBreak.findAll({ where: { time_clock_id: clocks.map(clock => clock.id) } })
+    : [];
+
+  const weeklyHours = parseFloat(user.weekly_contract_hours) || 0;
+  const workDays = user.work_days || [];
+  const dailyHours = weeklyHours > 0 && workDays.length > 0 ? weeklyHours / workDays.length : null;
+
+  // Horas por día de los fichajes cerrados
+  const hoursByDay = {};
+  clocks.filter(clock => clock.clock_out_time).forEach(clock => {
+    Object.entries(clock.getHoursByDay(timeZone)).forEach(([day, hours]) => {
+      hoursByDay[day] = (hoursByDay[day] || 0) + hours;
+    });
+  });
+
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const weekday = getIsoWeekday(day);
+    const entries = clocks
+      .filter(clock => clock.date === day || (day === start && clock.date < start))
+      .map(clock => {
+        const paidBreakMinutes = breaks
+          .filter(pause => pause.time_clock_id === clock.id && pause.type === 'paid')
+          .reduce((total, pause) => total + pause.getMinutes(clock.clock_out_time || undefined), 0);
+
+        return {
+          time_clock_id: clock.id,
+          clock_in: formatTime(clock.clock_in_time, timeZone, day),
+          clock_out: clock.clock_out_time ? formatTime(clock.clock_out_time, timeZone, day) : null,
+          paid_break_minutes: Math.round(paidBreakMinutes),
+          break_minutes: clock.break_time_minutes || 0,
+          total_hours: clock.clock_out_time ? round2(parseFloat(clock.total_hours) || 0) : null,
+          markers: getClockMarkers(clock)
+        };
+      });
+
+    const workedHours = round2(hoursByDay[day] || 0);
+    const expectedHours = dailyHours === null ? null : round2(workDays.includes(weekday) ? dailyHours : 0);
+
+    days.push({
+      date: day,
+      weekday: WEEKDAY_NAMES[weekday - 1],
+      entries,
+      worked_hours: workedHours,
+      expected_hours: expectedHours,
+      overtime_hours: expectedHours === null ? null : round2(Math.max(0, workedHours - expectedHours))
+    });
+  }
+
+  const sum = (values) => round2(values.reduce((total, value) => total + value, 0));
+  const allEntries = days.flatMap(day => day.entries);
+
+  const report = {
+    month,
+    period: { start, end },
+    timezone: timeZone,
+    store: { id: store.id, name: store.name },
+    worker: { id: user.id, name: user.name, username: user.username },
+    contract: {
+      weekly_contract_hours: weeklyHours || null,
+      work_days: workDays,
+      daily_hours: dailyHours === null ? null : round2(dailyHours)
+    },
+    days,
+    totals: {
+      days_worked: days.filter(day => day.worked_hours > 0).length,
+      worked_hours: sum(days.map(day => day.worked_hours)),
+      expected_hours: dailyHours === null ? null : sum(days.map(day => day.expected_hours)),
+      overtime_hours: dailyHours === null ? null : sum(days.map(day => day.overtime_hours)),
+      paid_break_minutes: allEntries.reduce((total, entry) => total + entry.paid_break_minutes, 0),
+      break_minutes: allEntries.reduce((total, entry) => total + entry.break_minutes, 0),
+      marked_entries: allEntries.filter(entry => entry.markers).length,
+      open_entries: allEntries.filter(entry => !entry.clock_out).length
+    },
+    markers: MARKERS
+  };
+
+  // Huella de los datos de tiempo: la firma del trabajador queda ligada a esta versión del registro
+  report.report_hash = crypto.createHash('sha256')
+    .update(JSON.stringify(getSignedTimeData(report)))
+    .digest('hex');
+
+  const acknowledgement = await JornadaAcknowledgement.findLatest(user.id, store.id, month);
+  report.acknowledgement = acknowledgement
+    ? {
+      acknowledged_at: acknowledgement.created_at,
+      signature_name: acknowledgement.signature_name,
+      matches_current_report: acknowledgement.report_hash === report.report_hash
+    }
+    : null;
+
+  return report;
+};
+
+const CSV_HEADERS = [
+  'fecha', 'dia', 'entrada', 'salida', 'pausas_retribuidas_min', 'descanso_min',
+  'horas_fichaje', 'horas_dia', 'horas_previstas', 'horas_extra', 'marcas'
+];
+
+// Registro en CSV: una fila por fichaje (o por día sin fichajes); las horas del día van en su primera fila
+const toJornadaCsv = (report) => {
+  const rows = report.days.flatMap(day => {
+    const dayColumns = [day.worked_hours, day.expected_hours, day.overtime_hours];
+    if (day.entries.length === 0) {
+      return [[day.date, day.weekday, '', '', '', '', '', ...dayColumns, '']];
+    }
+    return day.entries.map((entry, index) => [
+      day.date,
+      day.weekday,
+      entry.clock_in,
+      entry.clock_out || 'abierto',
+      entry.paid_break_minutes,
+      entry.break_minutes,
+      entry.total_hours,
+      ...(index === 0 ? dayColumns : ['', '', '']),
+      entry.markers
+    ]);
+  });
+
+  rows.push([
+    'TOTAL', '', '', '', report.totals.paid_break_minutes, report.totals.break_minutes, '',
+    report.totals.worked_hours, report.totals.expected_hours, report.totals.overtime_hours, ''
+  ]);
+
+  return toCsv(CSV_HEADERS, rows);
+};
+
+// Columnas de la tabla del PDF (Courier, alineadas con espacios): [título, ancho]
+const PDF_COLUMNS = [
+  ['Fecha', 10], ['Día', 4], ['Entrada', 8], ['Salida', 11], ['P.retr.', 8], ['Descanso', 9],
+  ['Horas', 6], ['H.día', 6], ['Previst.', 8], ['Extra', 6], ['Marcas', 6]
+];
+
+const formatRow = (cells) => cells
+  .map((cell, index) => String(cell === null || cell === undefined ? '' : cell).padEnd(PDF_COLUMNS[index][1]))
+  .join(' ')
+  .trimEnd();
+
+const formatHours = (hours) => (hours === null || hours === undefined ? '-' : hours.toFixed(2));
+
+// Registro en PDF para entregar al trabajador o a la Inspección de Trabajo
+const toJornadaPdf = (report) => {
+  const monthName = new Intl.DateTimeFormat('es-ES', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${report.month}-01T00:00:00Z`));
+  const title = `Registro de jornada ${report.month} - ${report.worker.name}`;
+  const { contract, totals } = report;
+
+  const lines = [
+    { text: 'Registro diario de jornada', font: 'bold', size: 16 },
+    { text: `Empresa / centro: ${report.store.name}`, size: 10 },
+    { text: `Trabajador: ${report.worker.name} (${report.worker.username})`, size: 10 },
+    { text: `Periodo: ${monthName} (${report.period.start} a ${report.period.end}), hora local ${report.timezone}`, size: 10 },
+    {
+      text: contract.daily_hours === null
+        ? 'Jornada contratada: no indicada en la ficha laboral (no se calculan horas extra)'
+        : `Jornada contratada: ${contract.weekly_contract_hours} h semanales, ${contract.daily_hours} h por día laborable ` +
+          `(${contract.work_days.map(day => WEEKDAY_NAMES[day - 1]).join(', ')})`,
+      size: 10
+    },
+    '',
+    { text: formatRow(PDF_COLUMNS.map(([name]) => name)), font: 'mono', size: 8 },
+    { text: '-'.repeat(PDF_COLUMNS.reduce((total, [, width]) => total + width + 1, -1)), font: 'mono', size: 8 }
+  ];
+
+  report.days.forEach(day => {
+    const dayCells = [formatHours(day.worked_hours), formatHours(day.expected_hours), formatHours(day.overtime_hours)];
+    if (day.entries.length === 0) {
+      lines.push({ text: formatRow([day.date, day.weekday, '', '', '', '', '', ...dayCells, '']), font: 'mono', size: 8 });
+      return;
+    }
+    day.entries.forEach((entry, index) => {
+      lines.push({
+        text: formatRow([
+          index === 0 ? day.date : '',
+          index === 0 ? day.weekday : '',
+          entry.clock_in,
+          entry.clock_out || 'abierto',
+          `${entry.paid_break_minutes} min`,
+          `${entry.break_minutes} min`,
+          formatHours(entry.total_hours),
+          ...(index === 0 ? dayCells : ['', '', '']),
+          entry.markers
+        ]),
+        font: 'mono',
+        size: 8
+      });
+    });
+  });
+
+  lines.push(
+    '',
+    { text: 'Totales del mes', font: 'bold', size: 11 },
+    `Días trabajados: ${totals.days_worked}    Horas trabajadas: ${formatHours(totals.worked_hours)}    ` +
+      `Horas previstas: ${formatHours(totals.expected_hours)}    Horas extra: ${formatHours(totals.overtime_hours)}`,
+    `Pausas retribuidas: ${totals.paid_break_minutes} min    Descanso descontado: ${totals.break_minutes} min    ` +
+      `Fichajes con marcas: ${totals.marked_entries}    Fichajes abiertos: ${totals.open_entries}`,
+    '',
+    { text: 'Marcas', font: 'bold', size: 11 },
+    ...Object.entries(report.markers).map(([marker, description]) => `${marker}: ${description}`),
+    'P.retr.: pausas retribuidas (cuentan como tiempo trabajado). Descanso: tiempo no retribuido descontado.',
+    '(+1) / (-1): la hora es del día siguiente / anterior (turnos nocturnos).',
+    '',
+    { text: 'Conformidad del trabajador', font: 'bold', size: 11 }
+  );
+
+  const { acknowledgement } = report;
+  if (!acknowledgement) {
+    lines.push('Pendiente de firma por el trabajador.');
+  } else {
+    const signedDay = toLocalDate(acknowledgement.acknowledged_at, report.timezone);
+    lines.push(
+      `Firmado en la aplicación el ${signedDay} a las ${formatTime(acknowledgement.acknowledged_at, report.timezone, signedDay)}` +
+        (acknowledgement.signature_name ? ` por "${acknowledgement.signature_name}"` : '') + '.',
+      acknowledgement.matches_current_report
+        ? 'La firma corresponde a esta versión del registro.'
+        : 'El registro ha cambiado después de la firma: la firma corresponde a una versión anterior.'
+    );
+  }
+  lines.push(
+    { text: `Huella del registro (SHA-256): ${report.report_hash}`, font: 'mono', size: 7 },
+    '',
+    '',
+    'Firma de la empresa: ______________________        Firma del trabajador: ______________________'
+  );
+
+  return createPdf(lines, { title });
+};
+
+module.exports = {
+  buildJornadaReport,
+  toJornadaCsv,
+  toJornadaPdf
+};
@@ -0,0 +1,39 @@
+const outboxTransport = require('./outboxTransport');
+
+// Transportes de correo disponibles. Cada transporte expone send(message)
+// con message = { from, to, subject, text, html }
+const transports = {
+  outbox: outboxTransport
+};
+
+// Registrar un transporte adicional (p. ej. SMTP) sin tocar el resto del código
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`El transporte de correo "${name}" debe implementar send(message)`);
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Transporte de correo desconocido: ${name}`);
+  }
+
+  return transport;
+};
+
+// Enviar un correo con el transporte configurado en MAIL_TRANSPORT
+const sendMail = async (message) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@appferre.com',
+    ...message
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
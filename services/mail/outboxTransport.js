@@ -0,0 +1,19 @@
+// Transporte por defecto: guarda los correos en la tabla mail_outbox
+// para que funcione sin servidor SMTP (se pueden consultar o reenviar después)
+const send = async (message) => {
+  const { MailOutbox } = require('../../models');
+
+  const record = await MailOutbox.create({
+    to_address: message.to,
+    from_address: message.from,
+    subject: message.subject,
+    body_text: message.text,
+    body_html: message.html || null
+  });
+
+  return { id: record.id, transport: 'outbox' };
+};
+
+module.exports = {
+  send
+};
@@ -0,0 +1,287 @@
+const { DEFAULT_PREFERENCES } = require('../../config/preferences');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Fecha y hora en la zona horaria y el idioma del destinatario
+const formatDateTime = (date, timeZone, locale) => new Intl.DateTimeFormat(locale, {
+  timeZone,
+  dateStyle: 'short',
+  timeStyle: 'short'
+}).format(new Date(date));
+
+// Textos de cada correo en los idiomas de SUPPORTED_LOCALES (config/preferences.js).
+// Los datos de cada correo llegan ya preparados: enlaces y fechas formateadas
+const MESSAGES = {
+  'es-ES': {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Restablecer contraseña',
+      text: [
+        `Hola ${name},`,
+        '',
+        'Hemos recibido una solicitud para restablecer tu contraseña.',
+        `Usa este enlace (válido durante ${expiresInMinutes} minutos):`,
+        resetUrl,
+        '',
+        'Si no has sido tú, ignora este mensaje.'
+      ]
+    }),
+    accountCreated: ({ name, username, setPasswordUrl, expiresInDays }) => ({
+      subject: 'Tu cuenta de AppFerre',
+      text: [
+        `Hola ${name},`,
+        '',
+        `Se ha creado tu cuenta con el usuario "${username}".`,
+        `Elige tu contraseña con este enlace (válido durante ${expiresInDays} días):`,
+        setPasswordUrl
+      ]
+    }),
+    clockAutoClosed: ({ name, storeName, clockIn, clockOut }) => ({
+      subject: 'Fichaje cerrado automáticamente',
+      text: [
+        `Hola ${name},`,
+        '',
+        `Tu fichaje en ${storeName} del ${clockIn} seguía abierto y se ha cerrado`,
+        `automáticamente con salida el ${clockOut}.`,
+        'Un responsable revisará la hora de salida. Si no es correcta, avísale.'
+      ]
+    }),
+    clockAutoClosedReview: ({ name, workerName, storeName, clockIn, clockOut }) => ({
+      subject: `Fichaje de ${workerName} pendiente de revisión`,
+      text: [
+        `Hola ${name},`,
+        '',
+        `El fichaje de ${workerName} en ${storeName} del ${clockIn} seguía abierto`,
+        `y se ha cerrado automáticamente con salida el ${clockOut}.`,
+        'Revísalo en los fichajes pendientes de revisión.'
+      ]
+    })
+  },
+  'ca-ES': {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Restablir la contrasenya',
+      text: [
+        `Hola ${name},`,
+        '',
+        'Hem rebut una sol·licitud per restablir la teva contrasenya.',
+        `Fes servir aquest enllaç (vàlid durant ${expiresInMinutes} minuts):`,
+        resetUrl,
+        '',
+        'Si no has estat tu, ignora aquest missatge.'
+      ]
+    }),
+    accountCreated: ({ name, username, setPasswordUrl, expiresInDays }) => ({
+      subject: 'El teu compte d\'AppFerre',
+      text: [
+        `Hola ${name},`,
+        '',
+        `S'ha creat el teu compte amb l'usuari "${username}".`,
+        `Tria la teva contrasenya amb aquest enllaç (vàlid durant ${expiresInDays} dies):`,
+        setPasswordUrl
+      ]
+    }),
+    clockAutoClosed: ({ name, storeName, clockIn, clockOut }) => ({
+      subject: 'Fitxatge tancat automàticament',
+      text: [
+        `Hola ${name},`,
+        '',
+        `El teu fitxatge a ${storeName} del ${clockIn} continuava obert i s'ha tancat`,
+        `automàticament amb sortida el ${clockOut}.`,
+        'Un responsable revisarà l\'hora de sortida. Si no és correcta, avisa\'l.'
+      ]
+    }),
+    clockAutoClosedReview: ({ name, workerName, storeName, clockIn, clockOut }) => ({
+      subject: `Fitxatge de ${workerName} pendent de revisió`,
+      text: [
+        `Hola ${name},`,
+        '',
+        `El fitxatge de ${workerName} a ${storeName} del ${clockIn} continuava obert`,
+        `i s'ha tancat automàticament amb sortida el ${clockOut}.`,
+        'Revisa\'l als fitxatges pendents de revisió.'
+      ]
+    })
+  },
+  'eu-ES': {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Pasahitza berrezarri',
+      text: [
+        `Kaixo ${name},`,
+        '',
+        'Zure pasahitza berrezartzeko eskaera bat jaso dugu.',
+        `Erabili esteka hau (${expiresInMinutes} minutuz balio du):`,
+        resetUrl,
+        '',
+        'Zu izan ez bazara, ez egin kasurik mezu honi.'
+      ]
+    }),
+    accountCreated: ({ name, username, setPasswordUrl, expiresInDays }) => ({
+      subject: 'Zure AppFerre kontua',
+      text: [
+        `Kaixo ${name},`,
+        '',
+        `Zure kontua sortu da "${username}" erabiltzailearekin.`,
+        `Aukeratu zure pasahitza esteka honekin (${expiresInDays} egunez balio du):`,
+        setPasswordUrl
+      ]
+    }),
+    clockAutoClosed: ({ name, storeName, clockIn, clockOut }) => ({
+      subject: 'Fitxaketa automatikoki itxi da',
+      text: [
+        `Kaixo ${name},`,
+        '',
+        `${storeName} dendan ${clockIn} egindako zure fitxaketa irekita zegoen, eta`,
+        `automatikoki itxi da, irteera ${clockOut} jarrita.`,
+        'Arduradun batek irteera-ordua berrikusiko du. Zuzena ez bada, jakinarazi iezaiozu.'
+      ]
+    }),
+    clockAutoClosedReview: ({ name, workerName, storeName, clockIn, clockOut }) => ({
+      subject: `Fitxaketa berrikusteko zain: ${workerName}`,
+      text: [
+        `Kaixo ${name},`,
+        '',
+        `${workerName} langileak ${storeName} dendan ${clockIn} egindako fitxaketa irekita zegoen, eta`,
+        `automatikoki itxi da, irteera ${clockOut} jarrita.`,
+        'Berrikusi ezazu berrikusteko zain dauden fitxaketetan.'
+      ]
+    })
+  },
+  'gl-ES': {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Restablecer o contrasinal',
+      text: [
+        `Ola ${name},`,
+        '',
+        'Recibimos unha solicitude para restablecer o teu contrasinal.',
+        `Usa esta ligazón (válida durante ${expiresInMinutes} minutos):`,
+        resetUrl,
+        '',
+        'Se non fuches ti, ignora esta mensaxe.'
+      ]
+    }),
+    accountCreated: ({ name, username, setPasswordUrl, expiresInDays }) => ({
+      subject: 'A túa conta de AppFerre',
+      text: [
+        `Ola ${name},`,
+        '',
+        `Creouse a túa conta co usuario "${username}".`,
+        `Escolle o teu contrasinal con esta ligazón (válida durante ${expiresInDays} días):`,
+        setPasswordUrl
+      ]
+    }),
+    clockAutoClosed: ({ name, storeName, clockIn, clockOut }) => ({
+      subject: 'Fichaxe pechada automaticamente',
+      text: [
+        `Ola ${name},`,
+        '',
+        `A túa fichaxe en ${storeName} do ${clockIn} seguía aberta e pechouse`,
+        `automaticamente con saída o ${clockOut}.`,
+        'Un responsable revisará a hora de saída. Se non é correcta, avísao.'
+      ]
+    }),
+    clockAutoClosedReview: ({ name, workerName, storeName, clockIn, clockOut }) => ({
+      subject: `Fichaxe de ${workerName} pendente de revisión`,
+      text: [
+        `Ola ${name},`,
+        '',
+        `A fichaxe de ${workerName} en ${storeName} do ${clockIn} seguía aberta`,
+        `e pechouse automaticamente con saída o ${clockOut}.`,
+        'Revísaa nas fichaxes pendentes de revisión.'
+      ]
+    })
+  },
+  'en-GB': {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Reset your password',
+      text: [
+        `Hello ${name},`,
+        '',
+        'We have received a request to reset your password.',
+        `Use this link (valid for ${expiresInMinutes} minutes):`,
+        resetUrl,
+        '',
+        'If this was not you, ignore this message.'
+      ]
+    }),
+    accountCreated: ({ name, username, setPasswordUrl, expiresInDays }) => ({
+      subject: 'Your AppFerre account',
+      text: [
+        `Hello ${name},`,
+        '',
+        `Your account has been created with the username "${username}".`,
+        `Choose your password with this link (valid for ${expiresInDays} days):`,
+        setPasswordUrl
+      ]
+    }),
+    clockAutoClosed: ({ name, storeName, clockIn, clockOut }) => ({
+      subject: 'Clock-in closed automatically',
+      text: [
+        `Hello ${name},`,
+        '',
+        `Your clock-in at ${storeName} on ${clockIn} was still open and has been closed`,
+        `automatically with a clock-out time of ${clockOut}.`,
+        'A manager will review the clock-out time. If it is not correct, let them know.'
+      ]
+    }),
+    clockAutoClosedReview: ({ name, workerName, storeName, clockIn, clockOut }) => ({
+      subject: `Clock-in by ${workerName} pending review`,
+      text: [
+        `Hello ${name},`,
+        '',
+        `The clock-in by ${workerName} at ${storeName} on ${clockIn} was still open`,
+        `and has been closed automatically with a clock-out time of ${clockOut}.`,
+        'Review it in the clock-ins pending review.'
+      ]
+    })
+  }
+};
+
+// Idioma del destinatario; si no está traducido, el idioma por defecto
+const resolveLocale = (locale) => {
+  if (MESSAGES[locale]) return locale;
+  return MESSAGES[DEFAULT_PREFERENCES.locale] ? DEFAULT_PREFERENCES.locale : 'es-ES';
+};
+
+const render = (template, locale, data) => {
+  const { subject, text } = MESSAGES[resolveLocale(locale)][template](data);
+  return { subject, text: text.join('\n') };
+};
+
+// Correo con el enlace para restablecer la contraseña
+const passwordReset = ({ name, token, expiresInMinutes, locale }) => render('passwordReset', locale, {
+  name,
+  resetUrl: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  expiresInMinutes
+});
+
+// Correo de bienvenida para una cuenta creada por el jefe (p. ej. importada desde CSV)
+const accountCreated = ({ name, username, token, expiresInDays, locale }) => render('accountCreated', locale, {
+  name,
+  username,
+  setPasswordUrl: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  expiresInDays
+});
+
+// Aviso al trabajador de que su fichaje se ha cerrado automáticamente
+const clockAutoClosed = ({ name, storeName, clockInTime, clockOutTime, timeZone, locale }) => render('clockAutoClosed', locale, {
+  name,
+  storeName,
+  clockIn: formatDateTime(clockInTime, timeZone, resolveLocale(locale)),
+  clockOut: formatDateTime(clockOutTime, timeZone, resolveLocale(locale))
+});
+
+// Aviso al jefe de un fichaje cerrado automáticamente que debe revisar
+const clockAutoClosedReview = ({
+  name, workerName, storeName, clockInTime, clockOutTime, timeZone, locale
+}) => render('clockAutoClosedReview', locale, {
+  name,
+  workerName,
+  storeName,
+  clockIn: formatDateTime(clockInTime, timeZone, resolveLocale(locale)),
+  clockOut: formatDateTime(clockOutTime, timeZone, resolveLocale(locale))
+});
+
+module.exports = {
+  passwordReset,
+  accountCreated,
+  clockAutoClosed,
+  clockAutoClosedReview
+};
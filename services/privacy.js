@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const {
+  User, Store, Task, TimeClock, TimeClockBreak, TimeClockCorrection, TimeClockRevision, JornadaAcknowledgement,
+  TimeEntry, SecurityEvent, UserSession, ApiKey, Invitation, MailOutbox, PasswordHistory, PasswordResetToken, TwoFactorRecoveryCode, sequelize
+} = require('../models');
+const securityConfig = require('../config/security');
+
+// ========================================
+// EXPORTACIÓN DE DATOS (derecho de acceso y portabilidad)
+// ========================================
+
+// Reunir todos los datos personales de un usuario, de todas sus tiendas.
+// Devuelve un objeto { seccion: datos } que se sirve como JSON o como un ZIP con un archivo por sección
+const buildUserExport = async (user) => {
+  const [
+    stores, assignedTasks, createdTasks, timeClocks, clockCorrections, clockRevisions, jornadaAcknowledgements,
+    timeEntries, securityEvents
+  ] = await Promise.all([
+    Store.findAll({
+      attributes: ['id', 'name', 'code'],
+      include: [{ model: User, as: 'members', where: { id: user.id }, attributes: [], through: { attributes: [] } }]
+    }),
+    Task.findAll({ where: { assigned_to: user.id }, order: [['created_at', 'ASC']] }),
+    Task.findAll({ where: { created_by: user.id }, order: [['created_at', 'ASC']] }),
+    TimeClock.findAll({
+      where: { user_id: user.id },
+      include: [{ model: TimeClockBreak, as: 'breaks' }],
+      order: [['clock_in_time', 'ASC']],
+      paranoid: false
+    }),
+    TimeClockCorrection.findAll({ where: { requested_by: user.id }, order: [['created_at', 'ASC']] }),
+    TimeClockRevision.findAll({
+      include: [{ model: TimeClock, as: 'timeClock', where: { user_id: user.id }, attributes: [], paranoid: false }],
+      order: [['created_at', 'ASC']]
+    }),
+    JornadaAcknowledgement.findAll({ where: { user_id: user.id }, order: [['created_at', 'ASC']] }),
+    TimeEntry.findAll({ where: { user_id: user.id }, order: [['start_time', 'ASC']] }),
+    SecurityEvent.findAll({
+      where: { user_id: user.id },
+      attributes: ['event_type', 'success', 'ip_address', 'user_agent', 'details', 'created_at'],
+      order: [['created_at', 'ASC']]
+    })
+  ]);
+
+  return {
+    export: {
+      generated_at: new Date().toISOString(),
+      user_id: user.id,
+      retention_years: securityConfig.dataRetention.years
+    },
+    profile: user.toSafeObject({ includeSensitive: true }),
+    stores,
+    tasks: {
+      assigned: assignedTasks,
+      created: createdTasks
+    },
+    time_clocks: timeClocks,
+    time_clock_corrections: clockCorrections,
+    time_clock_revisions: clockRevisions,
+    jornada_acknowledgements: jornadaAcknowledgements,
+    time_entries: timeEntries,
+    security_events: securityEvents
+  };
+};
+
+// ========================================
+// ANONIMIZACIÓN (derecho de supresión)
+// ========================================
+
+// Fin del periodo de conservación: DATA_RETENTION_YEARS años después de la fecha de baja
+// o del último fichaje/registro de tiempo si es posterior. Null si no hay fecha de baja
+const getRetentionEndDate = async (user) => {
+  if (!user.termination_date) {
+    return null;
+  }
+
+  const [lastClock, lastEntry] = await Promise.all([
+    TimeClock.max('date', { where: { user_id: user.id }, paranoid: false }),
+    TimeEntry.max('date', { where: { user_id: user.id } })
+  ]);
+
+  const lastActivity = [user.termination_date, lastClock, lastEntry]
+    .filter(Boolean)
+    .map(date => new Date(date))
+    .reduce((latest, date) => (date > latest ? date : latest));
+
+  const retentionEnd = new Date(lastActivity);
+  retentionEnd.setFullYear(retentionEnd.getFullYear() + securityConfig.dataRetention.years);
+  return retentionEnd;
+};
+
+// Borrar los datos personales de un usuario dado de baja. Se conservan sus fichajes y
+// registros de tiempo (horas, fechas y tienda) porque la normativa laboral obliga a guardarlos;
+// solo se eliminan sus textos libres y todo lo que permita identificar a la persona
+const anonymizeUser = async (user) => {
+  const placeholder = `anonimo${user.id}`;
+  const previousEmail = user.email;
+
+  await sequelize.transaction(async (transaction) => {
+    // Credenciales y sesiones
+    await UserSession.revokeAllForUser(user.id, { transaction });
+    await ApiKey.update(
+      { revoked_at: new Date() },
+      { where: { user_id: user.id, revoked_at: null }, transaction }
+    );
+    await PasswordHistory.destroy({ where: { user_id: user.id }, transaction });
+    await PasswordResetToken.destroy({ where: { user_id: user.id }, transaction });
+    await TwoFactorRecoveryCode.destroy({ where: { user_id: user.id }, transaction });
+
+    // Datos técnicos que identifican a la persona (IP, navegador)
+    await UserSession.update(
+      { ip_address: null, user_agent: null, device_name: null },
+      { where: { user_id: user.id }, transaction }
+    );
+    await SecurityEvent.update(
+      { ip_address: null, user_agent: null, details: null },
+      { where: { user_id: user.id }, transaction }
+    );
+
+    // Correos e invitaciones dirigidos a su dirección
+    await MailOutbox.destroy({ where: { to_address: previousEmail }, transaction });
+    await Invitation.update(
+      { email: `${placeholder}@anonimizado.invalid`, name: 'Usuario anonimizado' },
+      { where: { [Op.or]: [{ user_id: user.id }, { email: previousEmail }] }, transaction }
+    );
+
+    // Fichajes (también los eliminados) y registros de tiempo: se conservan las horas, no las notas
+    await TimeClock.update(
+      { notes: null },
+      { where: { user_id: user.id }, paranoid: false, transaction }
+    );
+    await TimeEntry.update(
+      { description: 'Registro anonimizado' },
+      { where: { user_id: user.id }, transaction }
+    );
+
+    // Correcciones de fichajes: se conservan los valores y su historial, no los motivos
+    await TimeClockCorrection.update(
+      { reason: 'Motivo anonimizado', review_notes: null },
+      { where: { requested_by: user.id }, transaction }
+    );
+    await TimeClockRevision.update(
+      { reason: 'Motivo anonimizado' },
+      {
+        where: {
+          time_clock_id: { [Op.in]: sequelize.literal(`(SELECT id FROM time_clocks WHERE user_id = ${parseInt(user.id, 10)})`) }
+        },
+        anonymization: true,
+        transaction
+      }
+    );
+
+    // Firmas del registro de jornada: se conserva la huella del informe firmado, no quién ni desde dónde
+    await JornadaAcknowledgement.update(
+      { signature_name: null, ip_address: null, user_agent: null },
+      { where: { user_id: user.id }, transaction }
+    );
+
+    // Perfil: la contraseña aleatoria impide cualquier acceso futuro
+    await User.update({
+      username: placeholder,
+      email: `${placeholder}@anonimizado.invalid`,
+      name: 'Usuario anonimizado',
+      password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+      is_active: false,
+      last_login: null,
+      failed_login_attempts: 0,
+      locked_until: null,
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_last_step: null,
+      must_change_password: false,
+      kiosk_pin_hash: null,
+      badge_code_hash: null,
+      phone: null,
+      tax_id: null,
+      social_security_number: null,
+      emergency_contact_name: null,
+      emergency_contact_phone: null,
+      anonymized_at: new Date()
+    }, {
+      where: { id: user.id },
+      transaction
+    });
+
+    await user.increment('token_version', { transaction });
+  });
+
+  return await user.reload();
+};
+
+module.exports = {
+  buildUserExport,
+  getRetentionEndDate,
+  anonymizeUser
+};
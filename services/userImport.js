@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, StoreMembership, PasswordResetToken, sequelize } = require('../models');
+const { ROLES, SUPERUSER_ROLE } = require('../config/permissions');
+const { parseCsv } = require('../utils/csv');
+const { generateTemporaryPassword } = require('../utils/passwordPolicy');
+
+// Número máximo de filas por importación (cada alta hashea una contraseña)
+const MAX_IMPORT_ROWS = 200;
+
+// Modos de alta: enlace por correo para elegir contraseña o contraseña temporal
+const IMPORT_MODES = ['invitation', 'temporary_password'];
+
+// Columnas admitidas (y sus nombres alternativos en español)
+const COLUMN_ALIASES = {
+  name: ['name', 'nombre'],
+  username: ['username', 'usuario'],
+  email: ['email', 'correo'],
+  role: ['role', 'rol'],
+  weekly_contract_hours: ['weekly_contract_hours', 'contract_hours', 'horas']
+};
+const REQUIRED_COLUMNS = ['name', 'username', 'email'];
+
+// Convertir el CSV en filas { line, data } con las columnas normalizadas.
+// Lanza un error con status 400 si la cabecera no es válida
+const parseUserCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw Object.assign(new Error('El CSV está vacío'), { status: 400 });
+  }
+
+  const columns = header.map(cell => {
+    const name = cell.trim().toLowerCase();
+    return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(name)) || null;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Faltan columnas obligatorias en el CSV: ${missing.join(', ')}`), { status: 400 });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw Object.assign(new Error(`El CSV no puede tener más de ${MAX_IMPORT_ROWS} filas`), { status: 400 });
+  }
+
+  return rows.map((cells, index) => {
+    const data = {};
+    columns.forEach((column, position) => {
+      if (column) data[column] = (cells[position] || '').trim();
+    });
+
+    return {
+      line: index + 2, // La línea 1 es la cabecera
+      data: {
+        name: data.name,
+        username: data.username,
+        email: (data.email || '').toLowerCase(),
+        role: data.role ? data.role.toLowerCase() : 'trabajador',
+        // Admite decimales con coma ("37,5")
+        weekly_contract_hours: data.weekly_contract_hours ? data.weekly_contract_hours.replace(',', '.') : null
+      }
+    };
+  });
+};
+
+// Validar cada fila con las mismas reglas que el modelo User, además de los duplicados
+// dentro del archivo y en la base de datos. Devuelve el informe por fila
+const validateImportRows = async (rows, { canAssignRoles, canAssignSuperuser }) => {
+  const usernames = rows.map(row => row.data.username).filter(Boolean);
+  const emails = rows.map(row => row.data.email).filter(Boolean);
+
+  const existingUsers = await User.findAll({
+    where: { [Op.or]: [{ username: usernames }, { email: emails }] },
+    attributes: ['username', 'email']
+  });
+  const takenUsernames = new Set(existingUsers.map(user => user.username));
+  const takenEmails = new Set(existingUsers.map(user => user.email));
+  const seenUsernames = new Set();
+  const seenEmails = new Set();
+
+  const report = [];
+
+  for (const row of rows) {
+    const { data } = row;
+    const errors = [];
+
+    REQUIRED_COLUMNS.forEach(column => {
+      if (!data[column]) errors.push({ field: column, message: 'Campo obligatorio' });
+    });
+
+    if (!ROLES.includes(data.role)) {
+      errors.push({ field: 'role', message: 'El rol debe ser jefe, encargado o trabajador' });
+    } else if (data.role !== 'trabajador' && !canAssignRoles) {
+      errors.push({ field: 'role', message: 'No tienes permisos para crear usuarios con este rol (roles.manage)' });
+    } else if (data.role === SUPERUSER_ROLE && !canAssignSuperuser) {
+      errors.push({ field: 'role', message: 'Solo un jefe puede crear usuarios con el rol de jefe' });
+    }
+
+    if (data.weekly_contract_hours !== null && isNaN(Number(data.weekly_contract_hours))) {
+      errors.push({ field: 'weekly_contract_hours', message: 'Las horas semanales deben ser un número' });
+    }
+
+    // Reglas del modelo (longitudes, formato de email, usuario alfanumérico, horas...)
+    try {
+      await User.build({ ...data, password_hash: 'pendiente' }).validate({ skip: ['password_hash'] });
+    } catch (error) {
+      if (error.name !== 'SequelizeValidationError') throw error;
+      error.errors
+        .filter(err => !errors.some(existing => existing.field === err.path))
+        .forEach(err => errors.push({ field: err.path, message: err.message }));
+    }
+
+    if (data.username) {
+      if (takenUsernames.has(data.username)) {
+        errors.push({ field: 'username', message: 'Este nombre de usuario ya está en uso' });
+      } else if (seenUsernames.has(data.username)) {
+        errors.push({ field: 'username', message: 'Nombre de usuario repetido en el CSV' });
+      }
+      seenUsernames.add(data.username);
+    }
+
+    if (data.email) {
+      if (takenEmails.has(data.email)) {
+        errors.push({ field: 'email', message: 'Este email ya está registrado' });
+      } else if (seenEmails.has(data.email)) {
+        errors.push({ field: 'email', message: 'Email repetido en el CSV' });
+      }
+      seenEmails.add(data.email);
+    }
+
+    report.push({
+      line: row.line,
+      username: data.username || null,
+      email: data.email || null,
+      valid: errors.length === 0,
+      errors
+    });
+  }
+
+  return report;
+};
+
+// Crear todas las cuentas en una única transacción (o ninguna).
+// Devuelve las cuentas creadas y, según el modo, la contraseña temporal o el token para elegirla
+const createImportedUsers = async (rows, { mode, storeId, requestedIp, linkExpiresInDays }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const created = [];
+
+    for (const { data } of rows) {
+      const temporaryPassword = mode === 'temporary_password' ? generateTemporaryPassword() : null;
+
+      const user = await User.create({
+        ...data,
+        // En modo invitación la contraseña es aleatoria y el usuario elige la suya con el enlace
+        password_hash: temporaryPassword || crypto.randomBytes(32).toString('hex'),
+        must_change_password: mode === 'temporary_password'
+      }, { transaction });
+
+      await StoreMembership.add(user.id, storeId, { transaction });
+
+      const account = { user, temporaryPassword, token: null };
+      if (mode === 'invitation') {
+        const { token } = await PasswordResetToken.issue(user.id, requestedIp, {
+          ttlMinutes: linkExpiresInDays * 24 * 60,
+          transaction
+        });
+        account.token = token;
+      }
+
+      created.push(account);
+    }
+
+    return created;
+  });
+};
+
+module.exports = {
+  IMPORT_MODES,
+  MAX_IMPORT_ROWS,
+  parseUserCsv,
+  validateImportRows,
+  createImportedUsers
+};
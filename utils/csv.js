@@ -0,0 +1,81 @@
+// Lectura y escritura de CSV (RFC 4180) sin dependencias externas
+
+// Detectar el separador por la cabecera: Excel en español exporta con ";"
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Convertir un texto CSV en una lista de filas (cada fila, una lista de celdas).
+// Admite comillas dobles, comillas escapadas ("") y saltos de línea dentro de una celda
+const parseCsv = (input, delimiter = null) => {
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignorar líneas vacías
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Escapar una celda. Las que empiezan por =, +, - o @ se prefijan con ' para que
+// una hoja de cálculo no las interprete como fórmulas
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Generar un CSV a partir de una cabecera y una lista de filas
+const toCsv = (headers, rows, delimiter = ',') => {
+  return [headers, ...rows]
+    .map(cells => cells.map(escapeCell).join(delimiter))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
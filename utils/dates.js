@@ -0,0 +1,128 @@
+const { DEFAULT_PREFERENCES } = require('../config/preferences');
+
+// Fechas de calendario ('YYYY-MM-DD') en una zona horaria IANA, con Intl y sin dependencias.
+// Las columnas DATEONLY (date de fichajes y registros) guardan el día local, no el día UTC
+
+const DEFAULT_TIMEZONE = DEFAULT_PREFERENCES.timezone;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Componentes de fecha y hora locales de un instante
+const getLocalParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+// Día local ('YYYY-MM-DD') de un instante
+const toLocalDate = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(new Date(date), timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+// Diferencia en milisegundos entre la hora local y UTC en un instante (cambia con el horario de verano)
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timeZone);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return localAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instante en que empieza un día local ('YYYY-MM-DD') en la zona indicada
+const startOfLocalDay = (dateString, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  const firstGuess = midnightUtc - getTimeZoneOffset(new Date(midnightUtc), timeZone);
+  return new Date(midnightUtc - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+// Último milisegundo de un día local
+const endOfLocalDay = (dateString, timeZone = DEFAULT_TIMEZONE) => {
+  return new Date(startOfLocalDay(addDays(dateString, 1), timeZone).getTime() - 1);
+};
+
+// Sumar días a una fecha de calendario
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Día de la semana de una fecha de calendario: 1 (lunes) a 7 (domingo)
+const getIsoWeekday = (dateString) => {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay() || 7;
+};
+
+// Semana que contiene la fecha, empezando en weekStart (1 = lunes ... 7 = domingo)
+const getWeekRange = (dateString, weekStart = DEFAULT_PREFERENCES.week_start) => {
+  const offset = (getIsoWeekday(dateString) - weekStart + 7) % 7;
+  const start = addDays(dateString, -offset);
+  return { start, end: addDays(start, 6) };
+};
+
+// Rango de fechas de un periodo ('week', 'month' o 'quarter') que contiene la fecha
+const getPeriodRange = (period, dateString, weekStart = DEFAULT_PREFERENCES.week_start) => {
+  if (period === 'week') {
+    return getWeekRange(dateString, weekStart);
+  }
+
+  const [year, month] = dateString.split('-').map(Number);
+  const firstMonth = period === 'quarter' ? Math.floor((month - 1) / 3) * 3 + 1 : month;
+  const months = period === 'quarter' ? 3 : 1;
+  const start = `${year}-${String(firstMonth).padStart(2, '0')}-01`;
+  const nextStart = new Date(Date.UTC(year, firstMonth - 1 + months, 1)).toISOString().split('T')[0];
+
+  return { start, end: addDays(nextStart, -1) };
+};
+
+// Repartir un intervalo entre los días locales que abarca: [{ date, milliseconds }].
+// Un turno de 22:00 a 06:00 da dos tramos de 2 y 6 horas
+const splitByLocalDay = (start, end, timeZone = DEFAULT_TIMEZONE) => {
+  const segments = [];
+  const endTime = new Date(end).getTime();
+  let cursor = new Date(start).getTime();
+  let day = toLocalDate(new Date(cursor), timeZone);
+
+  while (cursor < endTime) {
+    const nextDay = addDays(day, 1);
+    const segmentEnd = Math.min(startOfLocalDay(nextDay, timeZone).getTime(), endTime);
+    segments.push({ date: day, milliseconds: segmentEnd - cursor });
+    cursor = segmentEnd;
+    day = nextDay;
+  }
+
+  return segments;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toLocalDate,
+  startOfLocalDay,
+  endOfLocalDay,
+  addDays,
+  getIsoWeekday,
+  getWeekRange,
+  getPeriodRange,
+  splitByLocalDay
+};
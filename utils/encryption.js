@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Cifrado simétrico (AES-256-GCM) para datos que deben poder leerse de nuevo,
+// como los secretos TOTP. La clave se deriva de ENCRYPTION_KEY (o JWT_SECRET)
+const ALGORITHM = 'aes-256-gcm';
+
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY o JWT_SECRET deben estar configurados');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Devuelve "iv:authTag:cifrado" en base64
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { passwordPolicy } = require('../config/security');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Se carga una sola vez, la primera vez que se necesita
+let commonPasswords = null;
+
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Comprobar una contraseña contra la política. Devuelve la lista de incumplimientos
+const getPasswordPolicyErrors = (password) => {
+  const errors = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < passwordPolicy.minLength) {
+    errors.push(`La contraseña debe tener al menos ${passwordPolicy.minLength} caracteres`);
+  }
+  if (passwordPolicy.requireLowercase && !/[a-zà-ÿñ]/.test(value)) {
+    errors.push('La contraseña debe contener al menos una letra minúscula');
+  }
+  if (passwordPolicy.requireUppercase && !/[A-ZÀ-ÝÑ]/.test(value)) {
+    errors.push('La contraseña debe contener al menos una letra mayúscula');
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(value)) {
+    errors.push('La contraseña debe contener al menos un número');
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9À-ÿñÑ]/.test(value)) {
+    errors.push('La contraseña debe contener al menos un símbolo');
+  }
+  if (passwordPolicy.rejectCommon && getCommonPasswords().has(value.toLowerCase())) {
+    errors.push('La contraseña es demasiado común');
+  }
+
+  return errors;
+};
+
+// Validador para express-validator: body('password').custom(passwordPolicyValidator)
+const passwordPolicyValidator = (password) => {
+  const errors = getPasswordPolicyErrors(password);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+  return true;
+};
+
+// Generar una contraseña temporal aleatoria que cumpla la política
+const TEMPORARY_PASSWORD_CHARSETS = ['abcdefghijkmnpqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789', '!@#$%&*?'];
+
+const generateTemporaryPassword = () => {
+  const length = Math.max(passwordPolicy.minLength, 12);
+  const allChars = TEMPORARY_PASSWORD_CHARSETS.join('');
+  let password;
+
+  do {
+    // Un carácter de cada tipo y el resto al azar
+    const chars = TEMPORARY_PASSWORD_CHARSETS.map(charset => charset[crypto.randomInt(charset.length)]);
+    while (chars.length < length) {
+      chars.push(allChars[crypto.randomInt(allChars.length)]);
+    }
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    password = chars.join('');
+  } while (getPasswordPolicyErrors(password).length > 0);
+
+  return password;
+};
+
+module.exports = {
+  getPasswordPolicyErrors,
+  passwordPolicyValidator,
+  generateTemporaryPassword
+};
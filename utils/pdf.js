@@ -0,0 +1,121 @@
+// Generación mínima de PDF (texto con las fuentes estándar, A4, sin imágenes), suficiente
+// para informes imprimibles sin depender de librerías externas
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FOOTER_SIZE = 8;
+
+// Fuentes estándar de PDF: no hace falta incrustarlas. Courier permite alinear tablas con espacios
+const FONTS = {
+  regular: { ref: 'F1', name: 'Helvetica' },
+  bold: { ref: 'F2', name: 'Helvetica-Bold' },
+  mono: { ref: 'F3', name: 'Courier' }
+};
+
+// Texto en WinAnsiEncoding: Latin-1 cubre tildes, eñes, ¿ y ¡; el resto se sustituye por "?"
+const encodeText = (text) => {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (char === '€') {
+      encoded += '\x80';
+    } else if (code < 0x20 || (code >= 0x80 && code < 0xA0) || code > 0xFF) {
+      encoded += '?';
+    } else {
+      encoded += char;
+    }
+  }
+  return encoded.replace(/[\\()]/g, match => `\\${match}`);
+};
+
+// Fecha en formato PDF (D:AAAAMMDDHHmmSSZ)
+const toPdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+// Repartir las líneas en páginas. Cada línea es un texto o { text, font, size };
+// { pageBreak: true } fuerza una página nueva
+const paginate = (lines) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    if (line && line.pageBreak) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+      continue;
+    }
+
+    const { text = '', font = 'regular', size = 10 } = typeof line === 'string' ? { text: line } : line;
+    const lineHeight = size * 1.4;
+
+    if (y - lineHeight < MARGIN + FOOTER_SIZE * 2) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+
+    y -= lineHeight;
+    pages[pages.length - 1].push({ text, font, size, y });
+  }
+
+  return pages;
+};
+
+// Crear un PDF a partir de una lista de líneas (ver paginate). Cada página lleva al pie
+// el título y "Página n de N"
+const createPdf = (lines, { title = '', createdAt = new Date() } = {}) => {
+  const pages = paginate(lines);
+  const fontKeys = Object.keys(FONTS);
+
+  // Números de objeto: 1 catálogo, 2 árbol de páginas, 3 información, después las fuentes
+  // y, para cada página, su objeto y su contenido
+  const firstFont = 4;
+  const firstPage = firstFont + fontKeys.length;
+  const objects = [];
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Count ${pages.length} /Kids [${
+    pages.map((page, index) => `${firstPage + index * 2} 0 R`).join(' ')
+  }] >>`;
+  objects[3] = `<< /Title (${encodeText(title)}) /Producer (AppFerre) /CreationDate (${toPdfDate(createdAt)}) >>`;
+
+  const fontResources = fontKeys.map((key, index) => {
+    objects[firstFont + index] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].name} /Encoding /WinAnsiEncoding >>`;
+    return `/${FONTS[key].ref} ${firstFont + index} 0 R`;
+  }).join(' ');
+
+  pages.forEach((page, index) => {
+    const pageObject = firstPage + index * 2;
+    const footer = `${title}  -  Página ${index + 1} de ${pages.length}`;
+    const content = [
+      ...page.map(({ text, font, size, y }) => (
+        `BT /${(FONTS[font] || FONTS.regular).ref} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${encodeText(text)}) Tj ET`
+      )),
+      `BT /${FONTS.regular.ref} ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN - FOOTER_SIZE} Td (${encodeText(footer)}) Tj ET`
+    ].join('\n');
+
+    objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${pageObject + 1} 0 R >>`;
+    objects[pageObject + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Todo el contenido es Latin-1 (un byte por carácter), así que las posiciones son longitudes de texto
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  for (let number = 1; number < objects.length; number++) {
+    offsets[number] = output.length;
+    output += `${number} 0 obj\n${objects[number]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let number = 1; number < objects.length; number++) {
+    output += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  createPdf
+};
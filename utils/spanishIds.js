@@ -0,0 +1,56 @@
+// Validación de documentos de identidad españoles
+
+const NIF_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+const NIE_PREFIXES = { X: '0', Y: '1', Z: '2' };
+
+// Quitar espacios, guiones y puntos y pasar a mayúsculas ("12.345.678-z" => "12345678Z")
+const normalizeId = (value) => String(value || '').replace(/[\s.-]/g, '').toUpperCase();
+
+// DNI/NIF de persona física: 8 dígitos y letra de control (número módulo 23)
+const isValidNif = (value) => {
+  const nif = normalizeId(value);
+  if (!/^\d{8}[A-Z]$/.test(nif)) {
+    return false;
+  }
+  return NIF_LETTERS[parseInt(nif.slice(0, 8), 10) % 23] === nif[8];
+};
+
+// NIE de extranjero: X, Y o Z, 7 dígitos y letra de control.
+// La letra inicial se sustituye por 0, 1 o 2 y se calcula como un NIF
+const isValidNie = (value) => {
+  const nie = normalizeId(value);
+  if (!/^[XYZ]\d{7}[A-Z]$/.test(nie)) {
+    return false;
+  }
+  return isValidNif(`${NIE_PREFIXES[nie[0]]}${nie.slice(1)}`);
+};
+
+const isValidNifOrNie = (value) => isValidNif(value) || isValidNie(value);
+
+// Número de afiliación a la Seguridad Social: 2 dígitos de provincia, número
+// y 2 dígitos de control (provincia + número, módulo 97)
+const isValidSocialSecurityNumber = (value) => {
+  const nss = normalizeId(value).replace(/\//g, '');
+  if (!/^\d{12}$/.test(nss)) {
+    return false;
+  }
+
+  const province = parseInt(nss.slice(0, 2), 10);
+  const number = parseInt(nss.slice(2, 10), 10);
+  const control = parseInt(nss.slice(10), 10);
+
+  // Los números anteriores a 10.000.000 se calculan sin los ceros de relleno
+  const base = number < 10000000
+    ? province * 10000000 + number
+    : parseInt(nss.slice(0, 10), 10);
+
+  return base % 97 === control;
+};
+
+module.exports = {
+  normalizeId,
+  isValidNif,
+  isValidNie,
+  isValidNifOrNie,
+  isValidSocialSecurityNumber
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Generar un token aleatorio seguro para enviar al cliente
+const generateSecureToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+// Solo se guarda el hash SHA-256 de los tokens, nunca el valor en claro
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateSecureToken,
+  hashToken
+};